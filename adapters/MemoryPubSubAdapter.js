@@ -0,0 +1,47 @@
+// Single-instance adapter: pub/sub and presence live in this process only.
+// Messages are round-tripped through JSON so handlers see exactly what they
+// would receive from the Redis adapter.
+export const createMemoryAdapter = () => {
+  const handlers = new Map();
+  // userId -> Map of socket id -> presence status
+  const presence = new Map();
+
+  const publish = async (channel, message) => {
+    const serialized = JSON.stringify(message);
+    (handlers.get(channel) ?? []).forEach((handler) =>
+      handler(JSON.parse(serialized))
+    );
+  };
+
+  const subscribe = async (channel, handler) => {
+    if (!handlers.has(channel)) handlers.set(channel, []);
+    handlers.get(channel).push(handler);
+  };
+
+  // A null status removes the socket
+  const setSocketStatus = async (userId, socketId, status) => {
+    const key = userId.toString();
+    if (status === null) {
+      presence.get(key)?.delete(socketId);
+      if (presence.get(key)?.size === 0) presence.delete(key);
+      return;
+    }
+    if (!presence.has(key)) presence.set(key, new Map());
+    presence.get(key).set(socketId, status);
+  };
+
+  const getSocketStatuses = async (userIds) =>
+    new Map(
+      userIds.map((id) => [
+        id.toString(),
+        [...(presence.get(id.toString())?.values() ?? [])],
+      ])
+    );
+
+  const close = async () => {
+    handlers.clear();
+    presence.clear();
+  };
+
+  return { publish, subscribe, setSocketStatus, getSocketStatuses, close };
+};
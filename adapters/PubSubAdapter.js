@@ -0,0 +1,24 @@
+import { createMemoryAdapter } from "./MemoryPubSubAdapter.js";
+import { createRedisAdapter } from "./RedisPubSubAdapter.js";
+
+// Pick the adapter from PUBSUB_ADAPTER. "memory" (the default) only works for
+// a single instance; run several instances behind a load balancer with
+// "redis" and REDIS_URL pointing at a shared server.
+//
+// Every adapter provides:
+//   publish(channel, message)                 deliver to subscribers on all instances
+//   subscribe(channel, handler)               handler(message) for each publish
+//   setSocketStatus(userId, socketId, status) record a socket's presence (null removes it)
+//   getSocketStatuses(userIds)                Map of userId -> statuses of all their sockets
+//   close()
+export const createPubSubAdapter = () => {
+  const adapter = process.env.PUBSUB_ADAPTER ?? "memory";
+
+  if (adapter === "memory") {
+    return createMemoryAdapter();
+  }
+  if (adapter === "redis") {
+    return createRedisAdapter(process.env.REDIS_URL ?? "redis://localhost:6379");
+  }
+  throw new Error(`Unknown PUBSUB_ADAPTER "${adapter}"`);
+};
@@ -0,0 +1,95 @@
+import Redis from "ioredis";
+
+// Sockets not refreshed within this window are treated as gone, so presence
+// recovers when an instance dies without cleaning up
+export const PRESENCE_TTL = 90 * 1000;
+
+const presenceKey = (userId) => `presence:${userId}`;
+
+// Multi-instance adapter backed by Redis (or anything speaking its protocol).
+// Pub/sub needs a dedicated connection, so commands use a second one.
+export const createRedisAdapter = (url) => {
+  const client = new Redis(url);
+  const subscriber = new Redis(url);
+  const handlers = new Map();
+
+  [client, subscriber].forEach((connection) =>
+    connection.on("error", (error) => console.error("Redis error:", error))
+  );
+
+  subscriber.on("message", (channel, serialized) => {
+    let message;
+    try {
+      message = JSON.parse(serialized);
+    } catch (error) {
+      console.error(`Invalid message on ${channel}:`, error);
+      return;
+    }
+    (handlers.get(channel) ?? []).forEach((handler) => handler(message));
+  });
+
+  const publish = async (channel, message) => {
+    await client.publish(channel, JSON.stringify(message));
+  };
+
+  const subscribe = async (channel, handler) => {
+    if (!handlers.has(channel)) {
+      handlers.set(channel, []);
+      await subscriber.subscribe(channel);
+    }
+    handlers.get(channel).push(handler);
+  };
+
+  // Each socket is a hash field holding its status and expiry. A null status
+  // removes the socket.
+  const setSocketStatus = async (userId, socketId, status) => {
+    const key = presenceKey(userId);
+    if (status === null) {
+      await client.hdel(key, socketId);
+      return;
+    }
+    const expiresAt = Date.now() + PRESENCE_TTL;
+    await client
+      .multi()
+      .hset(key, socketId, JSON.stringify({ status, expiresAt }))
+      .pexpire(key, PRESENCE_TTL)
+      .exec();
+  };
+
+  const getSocketStatuses = async (userIds) => {
+    const ids = userIds.map((id) => id.toString());
+    if (ids.length === 0) return new Map();
+
+    const pipeline = client.pipeline();
+    ids.forEach((id) => pipeline.hgetall(presenceKey(id)));
+    const results = await pipeline.exec();
+
+    const now = Date.now();
+    const stale = client.pipeline();
+    const statuses = new Map();
+    ids.forEach((id, index) => {
+      const [error, sockets] = results[index];
+      if (error) throw error;
+      statuses.set(id, []);
+      Object.entries(sockets ?? {}).forEach(([socketId, value]) => {
+        const { status, expiresAt } = JSON.parse(value);
+        if (expiresAt > now) {
+          statuses.get(id).push(status);
+        } else {
+          stale.hdel(presenceKey(id), socketId);
+        }
+      });
+    });
+
+    // Clean up sockets left behind by instances that went away
+    if (stale.length > 0) await stale.exec();
+    return statuses;
+  };
+
+  const close = async () => {
+    handlers.clear();
+    await Promise.all([subscriber.quit(), client.quit()]);
+  };
+
+  return { publish, subscribe, setSocketStatus, getSocketStatuses, close };
+};
@@ -1,37 +1,94 @@
-import jwt from "jsonwebtoken";
 import User from "../model/UserModel.js";
 import { compare } from "bcrypt";
 import { renameSync, unlinkSync } from "fs";
+import {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  createSession,
+  endSession,
+  revokeOtherSessions,
+  rotateSession,
+} from "../services/SessionService.js";
+import {
+  consumeUserToken,
+  issueUserToken,
+} from "../services/UserTokenService.js";
+import {
+  resendVerificationEmail,
+  sendVerificationEmail,
+  verifyEmail as verifyEmailToken,
+} from "../services/EmailVerificationService.js";
+import {
+  completeLoginChallenge,
+  createLoginChallenge,
+} from "../services/TwoFactorService.js";
+import { sendMail } from "../mailer/Mailer.js";
+import { passwordResetMail } from "../mailer/MailTemplates.js";
 
-const maxAge = 3 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
 
-const createToken = (email, userId) => {
-  return jwt.sign({ email, userId }, process.env.JWT_KEY, {
-    expiresIn: maxAge,
+// The refresh token is only ever sent to the auth routes
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "None",
+  path: "/api/auth",
+};
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie("jwt", accessToken, {
+    maxAge: ACCESS_TOKEN_TTL,
+    secure: true,
+    sameSite: "None",
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie("jwt", "", { maxAge: 1, secure: true, sameSite: "None" });
+  res.cookie("refreshToken", "", { ...refreshCookieOptions, maxAge: 1 });
+};
+
+// The user as returned by signup and login
+const authUser = (user) => ({
+  id: user?.id,
+  email: user?.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  image: user.image,
+  profileSetup: user.profileSetup,
+  emailVerified: user.isEmailVerified(),
+});
+
+// Start a session for the request's device and set its cookies
+const startSession = async (req, res, user) => {
+  const tokens = await createSession(user, {
+    device: req.get("user-agent") ?? null,
+    ip: req.ip,
   });
+  setAuthCookies(res, tokens);
 };
 
 export const signup = async (req, res, next) => {
   try {
     const { email, password } = req.body;
     if (email && password) {
-      const user = await User.create({ email, password });
-      res.cookie("jwt", createToken(email, user.id), {
-        maxAge,
-        secure: true,
-        sameSite: "None",
-      });
-
-      return res.status(201).json({
-        user: {
-          id: user?.id,
-          email: user?.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          image: user.image,
-          profileSetup: user.profileSetup,
-        },
-      });
+      if (!EMAIL_PATTERN.test(email)) {
+        return res.status(400).send("A valid email is required");
+      }
+      const user = await User.create({ email, password, emailVerified: false });
+      // Signup still succeeds if the mail fails; the user can ask for a resend
+      sendVerificationEmail(user).catch((error) =>
+        console.log("Error sending verification email:", error)
+      );
+      await startSession(req, res, user);
+
+      return res.status(201).json({ user: authUser(user) });
     } else {
       return res.status(400).send("Email and Password Required");
     }
@@ -53,21 +110,14 @@ export const login = async (req, res, next) => {
       if (!auth) {
         return res.status(400).send("Invalid Password");
       }
-      res.cookie("jwt", createToken(email, user.id), {
-        maxAge,
-        secure: true,
-        sameSite: "None",
-      });
-      return res.status(200).json({
-        user: {
-          id: user?.id,
-          email: user?.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          image: user.image,
-          profileSetup: user.profileSetup,
-        },
-      });
+      // With two-factor authentication on, the password only earns a
+      // challenge that complete-login exchanges for a session
+      if (user.twoFactorEnabled) {
+        const challenge = await createLoginChallenge(user);
+        return res.status(200).json({ twoFactorRequired: true, challenge });
+      }
+      await startSession(req, res, user);
+      return res.status(200).json({ user: authUser(user) });
     } else {
       return res.status(400).send("Email and Password Required");
     }
@@ -76,6 +126,31 @@ export const login = async (req, res, next) => {
   }
 };
 
+// Second step of a two-factor login: the challenge from login plus either a
+// code from the authenticator app or a recovery code
+export const completeLogin = async (req, res, next) => {
+  try {
+    const { challenge, code, recoveryCode } = req.body;
+    if (!challenge || (!code && !recoveryCode)) {
+      return res.status(400).send("Challenge and code are required");
+    }
+
+    const { error, user } = await completeLoginChallenge(challenge, {
+      code,
+      recoveryCode,
+    });
+    if (error) {
+      return res.status(error.status).send(error.message);
+    }
+
+    await startSession(req, res, user);
+    return res.status(200).json({ user: authUser(user) });
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
 export const getUserInfo = async (request, response, next) => {
   try {
     if (request.userId) {
@@ -89,6 +164,8 @@ export const getUserInfo = async (request, response, next) => {
           image: userData.image,
           profileSetup: userData.profileSetup,
           color: userData.color,
+          emailVerified: userData.isEmailVerified(),
+          twoFactorEnabled: userData.twoFactorEnabled,
         });
       } else {
         return response.status(404).send("User with the given id not found.");
@@ -102,15 +179,190 @@ export const getUserInfo = async (request, response, next) => {
   }
 };
 
+// Swap the refresh token cookie for a new access token and refresh token
+export const refreshToken = async (request, response, next) => {
+  try {
+    const { error, ...tokens } = await rotateSession(
+      request.cookies.refreshToken,
+      { ip: request.ip }
+    );
+    if (error) {
+      clearAuthCookies(response);
+      return response.status(error.status).send(error.message);
+    }
+    setAuthCookies(response, tokens);
+    return response.status(200).json({ userId: tokens.userId });
+  } catch (err) {
+    console.log(err);
+    return response.status(500).send("Internal Server Error");
+  }
+};
+
 export const logout = async (request, response, next) => {
   try {
-    response.cookie("jwt", "", { maxAge: 1, secure: true, sameSite: "None" });
+    await endSession({
+      refreshToken: request.cookies.refreshToken,
+      accessToken: request.cookies.jwt,
+    });
+    clearAuthCookies(response);
     return response.status(200).send("Logout successful");
   } catch (err) {
     return response.status(500).send("Internal Server Error");
   }
 };
 
+// Confirm an email address with the token from a verification email
+export const verifyEmail = async (request, response, next) => {
+  try {
+    const { token } = request.body;
+
+    if (!token) {
+      return response.status(400).send("Token is required.");
+    }
+
+    const { error } = await verifyEmailToken(token);
+    if (error) {
+      return response.status(error.status).send(error.message);
+    }
+
+    return response.status(200).send("Email verified successfully.");
+  } catch (error) {
+    console.log({ error });
+    return response.status(500).send("Internal Server Error.");
+  }
+};
+
+export const resendVerification = async (request, response, next) => {
+  try {
+    const { error } = await resendVerificationEmail(request.userId);
+    if (error) {
+      if (error.retryAfter) response.set("Retry-After", String(error.retryAfter));
+      return response.status(error.status).send(error.message);
+    }
+
+    return response.status(200).send("Verification email sent.");
+  } catch (error) {
+    console.log({ error });
+    return response.status(500).send("Internal Server Error.");
+  }
+};
+
+const isValidPassword = (password) =>
+  typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH;
+
+// Change the password of a logged in user. Every other device is logged out.
+export const changePassword = async (request, response, next) => {
+  try {
+    const { currentPassword, newPassword } = request.body;
+
+    if (!currentPassword || !newPassword) {
+      return response
+        .status(400)
+        .send("Current and new password are required.");
+    }
+    if (!isValidPassword(newPassword)) {
+      return response
+        .status(400)
+        .send(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    const user = await User.findById(request.userId);
+    if (!user) {
+      return response.status(404).send("User not found.");
+    }
+    if (!(await compare(currentPassword, user.password))) {
+      return response.status(400).send("Invalid Password");
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeOtherSessions(user._id, request.sessionId);
+
+    return response.status(200).send("Password changed successfully.");
+  } catch (error) {
+    console.log({ error });
+    return response.status(500).send("Internal Server Error.");
+  }
+};
+
+const sendPasswordReset = async (user) => {
+  const token = await issueUserToken(
+    user._id,
+    "password-reset",
+    PASSWORD_RESET_TTL
+  );
+  await sendMail({
+    to: user.email,
+    ...passwordResetMail({
+      url: `${process.env.ORIGIN}/reset-password?token=${token}`,
+      expiresInMinutes: PASSWORD_RESET_TTL / 60000,
+    }),
+  });
+};
+
+// Email a password reset link. The response is the same whether or not the
+// email belongs to an account, so it can't be used to discover users.
+export const forgotPassword = async (request, response, next) => {
+  try {
+    const { email } = request.body;
+
+    if (!email) {
+      return response.status(400).send("Email is required.");
+    }
+
+    const user = await User.findOne({ email });
+    // Not awaited, so the response time doesn't reveal the email is registered
+    if (user) {
+      sendPasswordReset(user).catch((error) =>
+        console.log("Error sending password reset email:", error)
+      );
+    }
+
+    return response
+      .status(200)
+      .send("If that email is registered, a reset link has been sent.");
+  } catch (error) {
+    console.log({ error });
+    return response.status(500).send("Internal Server Error.");
+  }
+};
+
+// Set a new password with a token from a reset email. Every session is
+// logged out, since the old password may have been compromised.
+export const resetPassword = async (request, response, next) => {
+  try {
+    const { token, newPassword } = request.body;
+
+    if (!token || !newPassword) {
+      return response.status(400).send("Token and new password are required.");
+    }
+    if (!isValidPassword(newPassword)) {
+      return response
+        .status(400)
+        .send(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    const resetToken = await consumeUserToken(token, "password-reset");
+    if (!resetToken) {
+      return response.status(400).send("Reset link is invalid or has expired.");
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return response.status(404).send("User not found.");
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeOtherSessions(user._id, null);
+
+    return response.status(200).send("Password reset successfully.");
+  } catch (error) {
+    console.log({ error });
+    return response.status(500).send("Internal Server Error.");
+  }
+};
+
 export const updateProfile = async (request, response, next) => {
   try {
     const { userId } = request;
@@ -1,9 +1,31 @@
 import mongoose from "mongoose";
-import Channel from "../model/ChannelModel.js";
+import Channel, {
+  CHANNEL_ROLES,
+  CHANNEL_VISIBILITIES,
+} from "../model/ChannelModel.js";
+import ChannelInvite from "../model/ChannelInviteModel.js";
+import ChannelJoinRequest from "../model/ChannelJoinRequestModel.js";
 import User from "../model/UserModel.js";
+import Message from "../model/MessagesModel.js";
+import { unreadFilter } from "../services/ReceiptService.js";
+import { paginateMessages } from "../services/PaginationService.js";
+import { checkChannelAccess } from "../services/ChannelAccessService.js";
+import {
+  checkVerified,
+  findUnverifiedUsers,
+} from "../services/EmailVerificationService.js";
+import {
+  emitToChannel,
+  REPLY_TO_FIELDS,
+} from "../services/ConversationService.js";
+import {
+  notifyAddedToChannel,
+  notifyChannelUpdated,
+  notifyRemovedFromChannel,
+} from "../services/ChannelNotificationService.js";
 import multer from "multer";
 import path from "path";
-import fs from "fs";
+import { promises as fs } from "fs";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -78,20 +100,13 @@ export const setGroupPhoto = async (req, res) => {
       }
 
       try {
-        const channel = await Channel.findById(channelId);
-        
-        if (!channel) {
-          await fs.unlink(req.file.path);
-          return res.status(404).json({
-            message: "Channel not found"
-          });
-        }
+        // Check the channel exists and the user may change its photo
+        const { channel, error } = await checkChannelAccess(channelId, req.userId, "setPhoto");
 
-        // Check if user is admin
-        if (channel.admin.toString() !== req.userId) {
+        if (error) {
           await fs.unlink(req.file.path);
-          return res.status(403).json({
-            message: "Only admin can change group photo"
+          return res.status(error.status).json({
+            message: error.message
           });
         }
 
@@ -114,6 +129,8 @@ export const setGroupPhoto = async (req, res) => {
         channel.photo = relativePath;
         await channel.save();
 
+        notifyChannelUpdated(channel);
+
         // Construct the full URL for the photo
         const photoUrl = `${process.env.HOST || 'http://localhost:8747'}/${relativePath}`;
 
@@ -149,9 +166,13 @@ export const setGroupPhoto = async (req, res) => {
 // Create Channel
 export const createChannel = async (req, res) => {
   try {
-    const { name, members } = req.body;
+    const { name, members, visibility = "private" } = req.body;
     const userId = req.userId;
 
+    if (!CHANNEL_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: "Invalid visibility" });
+    }
+
     // Validate admin user
     const admin = await User.findById(userId);
     if (!admin) {
@@ -164,15 +185,26 @@ export const createChannel = async (req, res) => {
       return res.status(400).json({ message: "Some members are not valid users." });
     }
 
+    const unverified = await findUnverifiedUsers(members, "joinChannel");
+    if (unverified.length > 0) {
+      return res.status(400).json({
+        message: "Some members have not verified their email.",
+        emails: unverified.map((user) => user.email),
+      });
+    }
+
     // Create new channel
     const newChannel = new Channel({
       name,
       members,
       admin: userId,
+      visibility,
     });
 
     await newChannel.save();
 
+    notifyAddedToChannel(newChannel, [...members, userId]);
+
     return res.status(201).json({ channel: newChannel });
   } catch (error) {
     console.error("Error creating channel:", error);
@@ -181,73 +213,142 @@ export const createChannel = async (req, res) => {
 };
 
 // Get User Channels
+// Archived channels are only included with ?includeArchived=true
 export const getUserChannels = async (req, res) => {
   try {
     const userId = new mongoose.Types.ObjectId(req.userId);
+    const includeArchived = req.query.includeArchived === "true";
 
     // Find channels where the user is either admin or member
     const channels = await Channel.find({
       $or: [{ admin: userId }, { members: userId }],
+      ...(includeArchived ? {} : { archived: { $ne: true } }),
     }).sort({ updatedAt: -1 });
 
-    return res.status(200).json({ channels });
+    const unreadCounts = await Message.aggregate([
+      {
+        $match: {
+          channel: { $in: channels.map((channel) => channel._id) },
+          ...unreadFilter(userId),
+        },
+      },
+      { $group: { _id: "$channel", count: { $sum: 1 } } },
+    ]);
+    const unreadByChannel = new Map(
+      unreadCounts.map(({ _id, count }) => [_id.toString(), count])
+    );
+
+    const channelsWithUnread = channels.map((channel) => ({
+      ...channel.toObject(),
+      role: channel.getRole(userId),
+      unreadCount: unreadByChannel.get(channel._id.toString()) ?? 0,
+    }));
+
+    return res.status(200).json({ channels: channelsWithUnread });
   } catch (error) {
     console.error("Error getting user channels:", error);
     return res.status(500).json({ message: "Internal Server Error" });
   }
 };
 
-// Get Channel Messages
+// Get a page of Channel Messages (members only, see requireChannelAccess)
+// Query: before / after (message id or timestamp), around (message id), limit
 export const getChannelMessages = async (req, res) => {
   try {
-    const { channelId } = req.params;
-
-    // Find channel and populate messages with sender details
-    const channel = await Channel.findById(channelId).populate({
-      path: "messages",
-      populate: {
-        path: "sender",
-        select: "firstName lastName email _id image color",
-      },
-    });
-
-    if (!channel) {
-      return res.status(404).json({ message: "Channel not found" });
+    const { channel } = req;
+    const { before, after, around, limit } = req.query;
+
+    // Page through the channel's messages with sender details populated
+    // Thread replies are fetched separately with the thread endpoint
+    const result = await paginateMessages(
+      { channel: channel._id, thread: null, deleted: false },
+      { before, after, around, limit },
+      [
+        { path: "sender", select: "firstName lastName email _id image color" },
+        { path: "replyTo", select: REPLY_TO_FIELDS },
+      ]
+    );
+
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
     }
 
-    return res.status(200).json({ messages: channel.messages });
+    return res.status(200).json(result);
   } catch (error) {
     console.error("Error getting channel messages:", error);
     return res.status(500).json({ message: "Internal Server Error" });
   }
 };
 
-// Promote/Demote Members (Only Admin can promote/demote)
-export const updateMemberRole = async (req, res) => {
+// Get pinned messages of a channel (members only, see requireChannelAccess)
+export const getChannelPinnedMessages = async (req, res) => {
   try {
-    const { channelId, userId, role } = req.body;
+    const { channel } = req;
 
-    // Find channel
-    const channel = await Channel.findById(channelId);
-    if (!channel) {
-      return res.status(404).json({ message: "Channel not found" });
-    }
+    const messages = await Message.find({
+      channel: channel._id,
+      pinned: true,
+      deleted: false,
+    })
+      .populate("sender", "firstName lastName email _id image color")
+      .sort({ pinnedAt: -1 });
 
-    // Check if the requester is the admin
-    if (channel.admin.toString() !== req.userId) {
-      return res.status(403).json({ message: "Only the admin can update roles" });
+    return res.status(200).json({ messages });
+  } catch (error) {
+    console.error("Error getting pinned channel messages:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Roles a moderator may hand out or take away
+const MODERATOR_MANAGED_ROLES = ["member", "read-only"];
+
+// Promote/Demote Members
+// The owner can assign any role ("owner" transfers ownership); moderators can
+// only switch other members between "member" and "read-only"
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+    // Loaded by requireChannelAccess("changeRole")
+    const { channel } = req;
+
+    if (!CHANNEL_ROLES.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
     }
 
     // Check if the user is a member
-    const isMember = channel.members.includes(userId);
-    if (!isMember) {
+    const currentRole = channel.getRole(userId);
+    if (!currentRole) {
       return res.status(404).json({ message: "User is not a member" });
     }
 
-    // Update role (assuming role is either "admin" or "member")
-    channel.admin = userId; // Promote to admin
+    if (currentRole === "owner") {
+      return res.status(400).json({ message: "Transfer ownership to another member instead" });
+    }
+
+    if (
+      channel.getRole(req.userId) !== "owner" &&
+      !(MODERATOR_MANAGED_ROLES.includes(currentRole) && MODERATOR_MANAGED_ROLES.includes(role))
+    ) {
+      return res.status(403).json({ message: "Only the owner can manage moderators" });
+    }
+
+    const previousOwner = channel.admin;
+    channel.setRole(userId, role);
     await channel.save();
 
+    const roleChanges = [{ userId, role }];
+    if (role === "owner") {
+      roleChanges.push({ userId: previousOwner, role: "moderator" });
+    }
+    roleChanges.forEach((change) =>
+      emitToChannel(channel, "channel-role-updated", {
+        channelId: channel._id,
+        ...change,
+        updatedBy: req.userId,
+      })
+    );
+
     return res.status(200).json({ message: "Member role updated successfully", channel });
   } catch (error) {
     console.error("Error updating member role:", error);
@@ -258,23 +359,16 @@ export const updateMemberRole = async (req, res) => {
 // Change Group Name
 export const changeGroupName = async (req, res) => {
   try {
-    const { channelId, name } = req.body;
-
-    // Find channel
-    const channel = await Channel.findById(channelId);
-    if (!channel) {
-      return res.status(404).json({ message: "Channel not found" });
-    }
-
-    // Check if the requester is the admin
-    if (channel.admin.toString() !== req.userId) {
-      return res.status(403).json({ message: "Only the admin can change the group name" });
-    }
+    const { name } = req.body;
+    // Loaded by requireChannelAccess("rename")
+    const { channel } = req;
 
     // Update channel name
     channel.name = name;
     await channel.save();
 
+    notifyChannelUpdated(channel);
+
     return res.status(200).json({ message: "Group name updated successfully", channel });
   } catch (error) {
     console.error("Error changing group name:", error);
@@ -285,13 +379,9 @@ export const changeGroupName = async (req, res) => {
 // Add Member by Email
 export const addMember = async (req, res) => {
   try {
-    const { channelId, email } = req.body;
-
-    // Find channel
-    const channel = await Channel.findById(channelId);
-    if (!channel) {
-      return res.status(404).json({ message: "Channel not found" });
-    }
+    const { email } = req.body;
+    // Loaded by requireChannelAccess("addMember")
+    const { channel } = req;
 
     // Find user by email
     const user = await User.findOne({ email });
@@ -299,16 +389,19 @@ export const addMember = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check if user is already a member
-    const isMember = channel.members.includes(user._id);
-    if (isMember) {
-      return res.status(400).json({ message: "User is already a member" });
+    const { error } = await checkVerified(user._id, "joinChannel");
+    if (error) {
+      return res.status(400).json({ message: "This user has not verified their email." });
     }
 
-    // Add user to channel members
-    channel.members.push(user._id);
+    // Add user to channel members unless they already belong
+    if (!channel.addMember(user._id)) {
+      return res.status(400).json({ message: "User is already a member" });
+    }
     await channel.save();
 
+    notifyAddedToChannel(channel, [user._id]);
+
     return res.status(200).json({ message: "Member added successfully", channel });
   } catch (error) {
     console.error("Error adding member:", error);
@@ -319,13 +412,9 @@ export const addMember = async (req, res) => {
 // Remove Member by Email
 export const removeMember = async (req, res) => {
   try {
-    const { channelId, email } = req.body;
-
-    // Find channel
-    const channel = await Channel.findById(channelId);
-    if (!channel) {
-      return res.status(404).json({ message: "Channel not found" });
-    }
+    const { email } = req.body;
+    // Loaded by requireChannelAccess("removeMember")
+    const { channel } = req;
 
     // Find user by email
     const user = await User.findOne({ email });
@@ -339,10 +428,20 @@ export const removeMember = async (req, res) => {
       return res.status(400).json({ message: "User is not a member" });
     }
 
+    // The owner can remove anyone but themselves, moderators only regular members
+    const requesterRole = channel.getRole(req.userId);
+    const targetRole = channel.getRole(user._id);
+    if (targetRole === "owner" || (requesterRole !== "owner" && targetRole === "moderator")) {
+      return res.status(403).json({ message: "Not authorized to remove this member" });
+    }
+
     // Remove user from channel members
     channel.members = channel.members.filter((memberId) => memberId.toString() !== user._id.toString());
+    channel.setRole(user._id, "member");
     await channel.save();
 
+    notifyRemovedFromChannel(channel, user._id, { removedBy: req.userId });
+
     return res.status(200).json({ message: "Member removed successfully", channel });
   } catch (error) {
     console.error("Error removing member:", error);
@@ -350,5 +449,209 @@ export const removeMember = async (req, res) => {
   }
 };
 
+// Delete a channel's photo from uploads/channels, ignoring missing files
+const deleteChannelPhoto = async (channel) => {
+  if (!channel.photo) return;
+  try {
+    await fs.unlink(path.join(__dirname, "..", channel.photo));
+  } catch (error) {
+    console.error("Error deleting channel photo:", error);
+  }
+};
+
+// Remove the channel with its messages, invites and photo
+const destroyChannel = async (channel) => {
+  await Message.deleteMany({ channel: channel._id });
+  await ChannelInvite.deleteMany({ channel: channel._id });
+  await ChannelJoinRequest.deleteMany({ channel: channel._id });
+  await Channel.deleteOne({ _id: channel._id });
+  await deleteChannelPhoto(channel);
+};
+
+// Leave a channel; an owner who leaves hands ownership to another member
+export const leaveChannel = async (req, res) => {
+  try {
+    // Loaded by requireChannelAccess("read")
+    const { channel, userId } = req;
+
+    const newOwner = channel.removeMember(userId);
+
+    // The last member leaving removes the channel entirely
+    if (channel.admin.toString() === userId) {
+      await destroyChannel(channel);
+      notifyRemovedFromChannel(channel, userId, { left: true });
+      return res.status(200).json({ message: "Channel left and deleted" });
+    }
+
+    await channel.save();
+
+    // channel-updated carries the new owner when ownership was handed over
+    notifyRemovedFromChannel(channel, userId, { left: true, newOwner });
+
+    return res.status(200).json({ message: "Channel left successfully" });
+  } catch (error) {
+    console.error("Error leaving channel:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+const setArchived = (archived) => async (req, res) => {
+  try {
+    // Loaded by requireChannelAccess("archive")
+    const { channel, userId } = req;
+
+    if (channel.archived === archived) {
+      return res.status(400).json({
+        message: archived ? "Channel is already archived" : "Channel is not archived",
+      });
+    }
+
+    channel.archived = archived;
+    channel.archivedAt = archived ? new Date() : null;
+    channel.archivedBy = archived ? userId : null;
+    await channel.save();
+
+    emitToChannel(channel, archived ? "channel-archived" : "channel-unarchived", {
+      channelId: channel._id,
+      archivedAt: channel.archivedAt,
+      archivedBy: channel.archivedBy,
+    });
+
+    return res.status(200).json({
+      message: archived ? "Channel archived successfully" : "Channel unarchived successfully",
+      channel,
+    });
+  } catch (error) {
+    console.error("Error archiving channel:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Archive a channel: it becomes read-only and is hidden from getUserChannels
+export const archiveChannel = setArchived(true);
+
+// Restore an archived channel
+export const unarchiveChannel = setArchived(false);
+
+// Permanently delete a channel, its messages and its photo
+export const deleteChannel = async (req, res) => {
+  try {
+    // Loaded by requireChannelAccess("delete")
+    const { channel } = req;
+
+    await destroyChannel(channel);
+
+    emitToChannel(channel, "channel-deleted", { channelId: channel._id });
+
+    return res.status(200).json({ message: "Channel deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting channel:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Change whether a channel is public or private
+export const updateVisibility = async (req, res) => {
+  try {
+    const { visibility } = req.body;
+    // Loaded by requireChannelAccess("changeVisibility")
+    const { channel } = req;
+
+    if (!CHANNEL_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: "Invalid visibility" });
+    }
+
+    channel.visibility = visibility;
+    await channel.save();
+
+    notifyChannelUpdated(channel);
+
+    return res.status(200).json({ message: "Channel visibility updated successfully", channel });
+  } catch (error) {
+    console.error("Error updating channel visibility:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+const BROWSE_LIMIT = 20;
+
+// Browse and search public channels
+// Query: search, page, limit
+export const browseChannels = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || BROWSE_LIMIT));
+
+    const filter = { visibility: "public", archived: { $ne: true } };
+    if (search) {
+      const sanitizedSearchTerm = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.name = new RegExp(sanitizedSearchTerm, "i");
+    }
+
+    const [channels, total] = await Promise.all([
+      Channel.aggregate([
+        { $match: filter },
+        { $sort: { updatedAt: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+          $project: {
+            name: 1,
+            photo: 1,
+            visibility: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            memberCount: { $size: { $setUnion: ["$members", ["$admin"]] } },
+            isMember: {
+              $or: [{ $eq: ["$admin", userId] }, { $in: [userId, "$members"] }],
+            },
+          },
+        },
+      ]),
+      Channel.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({ channels, page, limit, total, hasMore: page * limit < total });
+  } catch (error) {
+    console.error("Error browsing channels:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Join a public channel
+export const joinChannel = async (req, res) => {
+  try {
+    const { channelId } = req.body;
+    const { userId } = req;
+
+    if (!mongoose.isValidObjectId(channelId)) {
+      return res.status(400).json({ message: "Valid channel ID is required" });
+    }
+
+    const channel = await Channel.findById(channelId);
+    if (!channel || channel.visibility !== "public") {
+      return res.status(404).json({ message: "Channel not found" });
+    }
+
+    if (channel.archived) {
+      return res.status(403).json({ message: "This channel is archived" });
+    }
+
+    if (!channel.addMember(userId)) {
+      return res.status(400).json({ message: "You are already a member" });
+    }
+    await channel.save();
+
+    notifyAddedToChannel(channel, [userId]);
+
+    return res.status(200).json({ message: "Joined channel successfully", channel });
+  } catch (error) {
+    console.error("Error joining channel:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
 // Export the upload middleware for use in routes
 export { upload };
\ No newline at end of file
@@ -0,0 +1,185 @@
+import crypto from "crypto";
+import ChannelInvite from "../model/ChannelInviteModel.js";
+import Channel from "../model/ChannelModel.js";
+import { notifyAddedToChannel } from "../services/ChannelNotificationService.js";
+
+const DEFAULT_INVITE_TTL = 7 * 24 * 60 * 60; // seconds
+const MAX_INVITE_TTL = 30 * 24 * 60 * 60; // seconds
+
+// Codes come from request bodies, so anything but a string (e.g. a query
+// operator object) is rejected before it reaches a query
+const isValidCode = (code) => typeof code === "string" && code.length > 0;
+
+const inviteUrl = (code) => `${process.env.ORIGIN}/invite/${code}`;
+
+const serializeInvite = (invite) => ({
+  code: invite.code,
+  url: inviteUrl(invite.code),
+  channelId: invite.channel,
+  createdBy: invite.createdBy,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt,
+});
+
+// Create an invite link for a channel
+// Body: { channelId, expiresIn? (seconds), maxUses? }
+export const createInvite = async (req, res) => {
+  try {
+    const { expiresIn = DEFAULT_INVITE_TTL, maxUses = null } = req.body;
+    // Loaded by requireChannelAccess("invite")
+    const { channel } = req;
+
+    const ttl = Number(expiresIn);
+    if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_INVITE_TTL) {
+      return res.status(400).json({ message: "Invalid expiry" });
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      return res.status(400).json({ message: "Invalid max uses" });
+    }
+
+    const invite = await ChannelInvite.create({
+      channel: channel._id,
+      code: crypto.randomBytes(9).toString("base64url"),
+      createdBy: req.userId,
+      expiresAt: new Date(Date.now() + ttl * 1000),
+      maxUses,
+    });
+
+    return res.status(201).json({ invite: serializeInvite(invite) });
+  } catch (error) {
+    console.error("Error creating invite:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// List a channel's invites that can still be used
+export const getInvites = async (req, res) => {
+  try {
+    // Loaded by requireChannelAccess("invite")
+    const { channel } = req;
+
+    const invites = await ChannelInvite.find({
+      channel: channel._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    const usable = invites.filter((invite) => invite.isUsable());
+
+    return res.status(200).json({ invites: usable.map(serializeInvite) });
+  } catch (error) {
+    console.error("Error getting invites:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Revoke an invite so it can no longer be used
+export const revokeInvite = async (req, res) => {
+  try {
+    const { code } = req.body;
+    // Loaded by requireChannelAccess("invite")
+    const { channel } = req;
+
+    if (!isValidCode(code)) {
+      return res.status(400).json({ message: "Valid invite code is required" });
+    }
+
+    const invite = await ChannelInvite.findOneAndUpdate(
+      { code, channel: channel._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    return res.status(200).json({ message: "Invite revoked successfully" });
+  } catch (error) {
+    console.error("Error revoking invite:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Show which channel an invite leads to before joining
+export const getInvitePreview = async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const invite = await ChannelInvite.findOne({ code });
+    if (!invite || !invite.isUsable()) {
+      return res.status(404).json({ message: "Invite is invalid or has expired" });
+    }
+
+    const channel = await Channel.findById(invite.channel);
+    if (!channel || channel.archived) {
+      return res.status(404).json({ message: "Invite is invalid or has expired" });
+    }
+
+    return res.status(200).json({
+      channel: {
+        _id: channel._id,
+        name: channel.name,
+        photo: channel.photo,
+        memberCount: new Set([...channel.members, channel.admin].map(String)).size,
+        isMember: channel.isMember(req.userId),
+      },
+      expiresAt: invite.expiresAt,
+    });
+  } catch (error) {
+    console.error("Error getting invite:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Join a channel with an invite code
+export const joinByInvite = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const { userId } = req;
+
+    if (!isValidCode(code)) {
+      return res.status(400).json({ message: "Valid invite code is required" });
+    }
+
+    const invite = await ChannelInvite.findOne({ code });
+    if (!invite || !invite.isUsable()) {
+      return res.status(404).json({ message: "Invite is invalid or has expired" });
+    }
+
+    const channel = await Channel.findById(invite.channel);
+    if (!channel || channel.archived) {
+      return res.status(404).json({ message: "Invite is invalid or has expired" });
+    }
+
+    if (channel.isMember(userId)) {
+      return res.status(400).json({ message: "You are already a member" });
+    }
+
+    // Count the use atomically so concurrent joins cannot exceed maxUses
+    const claimed = await ChannelInvite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+      },
+      { $inc: { uses: 1 } }
+    );
+    if (!claimed) {
+      return res.status(404).json({ message: "Invite is invalid or has expired" });
+    }
+
+    channel.addMember(userId);
+    await channel.save();
+
+    notifyAddedToChannel(channel, [userId]);
+
+    return res.status(200).json({ message: "Joined channel successfully", channel });
+  } catch (error) {
+    console.error("Error joining channel by invite:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import Channel from "../model/ChannelModel.js";
+import ChannelJoinRequest from "../model/ChannelJoinRequestModel.js";
+import { emitToUsers } from "../socket.js";
+import { notifyAddedToChannel } from "../services/ChannelNotificationService.js";
+
+const USER_FIELDS = "id email firstName lastName image color";
+
+// Ask to join a private channel
+export const requestToJoin = async (req, res) => {
+  try {
+    const { channelId, message = null } = req.body;
+    const { userId } = req;
+
+    if (!mongoose.isValidObjectId(channelId)) {
+      return res.status(400).json({ message: "Valid channel ID is required" });
+    }
+
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: "Channel not found" });
+    }
+
+    if (channel.archived) {
+      return res.status(403).json({ message: "This channel is archived" });
+    }
+
+    // Public channels are joined directly with join-channel
+    if (channel.visibility === "public") {
+      return res.status(400).json({ message: "This channel can be joined directly" });
+    }
+
+    if (channel.isMember(userId)) {
+      return res.status(400).json({ message: "You are already a member" });
+    }
+
+    const existing = await ChannelJoinRequest.findOne({
+      channel: channel._id,
+      user: userId,
+      status: "pending",
+    });
+    if (existing) {
+      return res.status(400).json({ message: "You already have a pending request" });
+    }
+
+    const request = await ChannelJoinRequest.create({
+      channel: channel._id,
+      user: userId,
+      message,
+    });
+    await request.populate("user", USER_FIELDS);
+
+    emitToUsers(channel.getModeratorIds(), "channel-join-requested", {
+      channelId: channel._id,
+      request,
+    });
+
+    return res.status(201).json({ request });
+  } catch (error) {
+    console.error("Error requesting to join channel:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Withdraw your own pending request
+export const cancelJoinRequest = async (req, res) => {
+  try {
+    const { channelId } = req.body;
+    const { userId } = req;
+
+    if (!mongoose.isValidObjectId(channelId)) {
+      return res.status(400).json({ message: "Valid channel ID is required" });
+    }
+
+    const request = await ChannelJoinRequest.findOneAndUpdate(
+      { channel: channelId, user: userId, status: "pending" },
+      { status: "cancelled" },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    const channel = await Channel.findById(channelId);
+    if (channel) {
+      emitToUsers(channel.getModeratorIds(), "channel-join-request-resolved", {
+        channelId: channel._id,
+        requestId: request._id,
+        status: request.status,
+      });
+    }
+
+    return res.status(200).json({ message: "Join request cancelled" });
+  } catch (error) {
+    console.error("Error cancelling join request:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// List pending requests for a channel (owner and moderators)
+export const getJoinRequests = async (req, res) => {
+  try {
+    // Loaded by requireChannelAccess("addMember")
+    const { channel } = req;
+
+    const requests = await ChannelJoinRequest.find({
+      channel: channel._id,
+      status: "pending",
+    })
+      .populate("user", USER_FIELDS)
+      .sort({ createdAt: 1 });
+
+    return res.status(200).json({ requests });
+  } catch (error) {
+    console.error("Error getting join requests:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+const reviewJoinRequest = (approve) => async (req, res) => {
+  try {
+    const { requestId } = req.body;
+    // Loaded by requireChannelAccess("addMember")
+    const { channel, userId } = req;
+
+    if (!mongoose.isValidObjectId(requestId)) {
+      return res.status(400).json({ message: "Valid request ID is required" });
+    }
+
+    // Claim the request first so two moderators cannot review it twice
+    const request = await ChannelJoinRequest.findOneAndUpdate(
+      { _id: requestId, channel: channel._id, status: "pending" },
+      {
+        status: approve ? "approved" : "rejected",
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+      },
+      { new: true }
+    );
+    if (!request) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    if (approve && channel.addMember(request.user)) {
+      await channel.save();
+      notifyAddedToChannel(channel, [request.user]);
+    }
+
+    emitToUsers(
+      [request.user],
+      approve ? "channel-join-request-approved" : "channel-join-request-rejected",
+      { channelId: channel._id, requestId: request._id }
+    );
+    emitToUsers(channel.getModeratorIds(), "channel-join-request-resolved", {
+      channelId: channel._id,
+      requestId: request._id,
+      status: request.status,
+      reviewedBy: userId,
+    });
+
+    return res.status(200).json({
+      message: approve ? "Join request approved" : "Join request rejected",
+      request,
+    });
+  } catch (error) {
+    console.error("Error reviewing join request:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Approve a pending request and add the user to the channel
+export const approveJoinRequest = reviewJoinRequest(true);
+
+// Reject a pending request
+export const rejectJoinRequest = reviewJoinRequest(false);
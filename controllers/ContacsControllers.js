@@ -1,6 +1,9 @@
 import mongoose from "mongoose";
 import User from "../model/UserModel.js";
 import Message from "../model/MessagesModel.js";
+import { getPresenceAudience, getUserStatuses } from "../socket.js";
+
+const MAX_PRESENCE_USER_IDS = 200;
 
 export const getAllContacts = async (request, response, next) => {
   try {
@@ -78,6 +81,21 @@ export const getContactsForList = async (req, res, next) => {
             },
           },
           lastMessageTime: { $first: "$timestamp" },
+          unreadCount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$recipient", userId] },
+                    { $eq: ["$deleted", false] },
+                    { $not: { $in: [userId, { $ifNull: ["$readBy.user", []] }] } },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
         },
       },
       {
@@ -96,11 +114,13 @@ export const getContactsForList = async (req, res, next) => {
           _id: 1,
 
           lastMessageTime: 1,
+          unreadCount: 1,
           email: "$contactInfo.email",
           firstName: "$contactInfo.firstName",
           lastName: "$contactInfo.lastName",
           image: "$contactInfo.image",
           color: "$contactInfo.color",
+          lastSeen: "$contactInfo.lastSeen",
         },
       },
       {
@@ -114,3 +134,38 @@ export const getContactsForList = async (req, res, next) => {
     return res.status(500).send("Internal Server Error");
   }
 };
+
+
+export const getPresence = async (request, response, next) => {
+  try {
+    const { userIds } = request.body;
+
+    if (!Array.isArray(userIds)) {
+      return response.status(400).send("User IDs are required.");
+    }
+    if (userIds.length > MAX_PRESENCE_USER_IDS) {
+      return response
+        .status(400)
+        .send(`At most ${MAX_PRESENCE_USER_IDS} user IDs are allowed.`);
+    }
+
+    // Only the caller's DM contacts and channel co-members are visible
+    const audience = new Set(await getPresenceAudience(request.userId));
+    const validIds = userIds.filter(
+      (id) => mongoose.isValidObjectId(id) && audience.has(id.toString())
+    );
+    const users = await User.find({ _id: { $in: validIds } }, "_id lastSeen");
+    const statuses = await getUserStatuses(users.map((user) => user._id));
+
+    const presence = users.map((user) => ({
+      userId: user._id,
+      status: statuses.get(user._id.toString()),
+      lastSeen: user.lastSeen,
+    }));
+
+    return response.status(200).json({ presence });
+  } catch (error) {
+    console.log({ error });
+    return response.status(500).send("Internal Server Error.");
+  }
+};
@@ -1,26 +1,93 @@
+import mongoose from "mongoose";
 import Message from "../model/MessagesModel.js";
+import Channel from "../model/ChannelModel.js";
+import { markMessagesRead } from "../services/ReceiptService.js";
+import { paginateMessages } from "../services/PaginationService.js";
+import { updateReaction } from "../services/ReactionService.js";
+import { searchMessages } from "../services/SearchService.js";
+import { checkChannelAccess } from "../services/ChannelAccessService.js";
+import {
+  emitToConversation,
+  getMessageAudience,
+  REPLY_TO_FIELDS,
+} from "../services/ConversationService.js";
 import { promises as fs } from 'fs';
 import path from 'path';
 
-// Get messages between two users
+// Get a page of messages between two users
+// Body: { id, before?, after?, around?, limit? } - cursors are message ids or timestamps
 export const getMessages = async (req, res) => {
   try {
     const user1 = req.userId;
-    const user2 = req.body.id;
+    const { id: user2, before, after, around, limit } = req.body;
 
-    if (!user1 || !user2) {
+    if (!user1 || !mongoose.isValidObjectId(user2)) {
       return res.status(400).send("Both user IDs are required.");
     }
 
-    const messages = await Message.find({
-      $or: [
-        { sender: user1, recipient: user2 },
-        { sender: user2, recipient: user1 },
-      ],
-      deleted: false, // Exclude deleted messages
-    }).sort({ timestamp: 1 });
+    const result = await paginateMessages(
+      {
+        $or: [
+          { sender: user1, recipient: user2 },
+          { sender: user2, recipient: user1 },
+        ],
+        deleted: false, // Exclude deleted messages
+        thread: null, // Thread replies are fetched with getThreadMessages
+      },
+      { before, after, around, limit },
+      { path: "replyTo", select: REPLY_TO_FIELDS }
+    );
 
-    return res.status(200).json({ messages });
+    if (result.error) {
+      return res.status(result.error.status).send(result.error.message);
+    }
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
+// Get a page of replies in a thread, plus the thread's root message
+export const getThreadMessages = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { before, after, around, limit } = req.query;
+    const userId = req.userId;
+
+    const root = await Message.findById(messageId);
+
+    if (!root || root.thread) {
+      return res.status(404).send("Thread not found.");
+    }
+
+    const audience = await getMessageAudience(root);
+    if (!audience.includes(userId)) {
+      return res.status(403).send("You are not authorized to view this thread.");
+    }
+
+    await root.populate("sender", "id email firstName lastName image color");
+
+    const result = await paginateMessages(
+      { thread: root._id, deleted: false },
+      { before, after, around, limit },
+      [
+        { path: "sender", select: "id email firstName lastName image color" },
+        { path: "replyTo", select: REPLY_TO_FIELDS },
+      ]
+    );
+
+    if (result.error) {
+      return res.status(result.error.status).send(result.error.message);
+    }
+
+    // A deleted root keeps its thread reachable but not its content
+    const rootData = root.deleted
+      ? { ...root.toObject(), content: null, audioUrl: null, fileUrl: null, fileName: null }
+      : root;
+
+    return res.status(200).json({ root: rootData, ...result });
   } catch (err) {
     console.log(err);
     return res.status(500).send("Internal Server Error");
@@ -67,15 +134,38 @@ export const deleteMessage = async (req, res) => {
       return res.status(404).json({ message: 'Message not found' });
     }
 
-    // Check permissions
-    if (message.sender.toString() !== userId) {
+    // Keep the first deletion's deletedBy/deletedAt intact
+    if (message.deleted) {
+      return res.status(400).json({ message: 'Message is already deleted' });
+    }
+
+    // Check permissions: the sender, or a channel owner/moderator. Members
+    // who can no longer post, or any archived channel, can't change history.
+    let canDelete = message.sender.toString() === userId;
+    if (message.channel) {
+      const { channel, error } = await checkChannelAccess(message.channel, userId, "post");
+      if (error) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      canDelete = canDelete || channel.can(userId, "deleteOthersMessages");
+    }
+    if (!canDelete) {
       return res.status(403).json({ message: 'Not authorized to delete this message' });
     }
 
-    // Soft delete
+    // Soft delete, recording who deleted it and when
     message.deleted = true;
+    message.deletedBy = userId;
+    message.deletedAt = new Date();
     await message.save();
 
+    await emitToConversation(message, "message-deleted", {
+      messageId: message._id,
+      sender: message.sender,
+      recipient: message.recipient,
+      channelId: message.channel,
+    });
+
     return res.status(200).json({
       message: 'Message deleted successfully',
       messageId
@@ -96,22 +186,50 @@ export const editMessage = async (req, res) => {
     const { newContent } = req.body;
     const userId = req.userId;
 
-    const message = await Message.findById(messageId);
+    const message = await Message.findById(messageId).select("+revisions");
 
-    if (!message) {
+    // Deleted messages can't be brought back by editing them
+    if (!message || message.deleted) {
       return res.status(404).send("Message not found.");
     }
 
+    // Text messages need text; other types may clear their caption
+    if (
+      typeof newContent !== "string" ||
+      (message.messageType === "text" && !newContent.trim())
+    ) {
+      return res.status(400).send("New content is required.");
+    }
+
     // Check if the user is the sender or an admin
     if (message.sender.toString() !== userId && !req.isAdmin) {
       return res.status(403).send("You are not authorized to edit this message.");
     }
 
-    // Update the message content
+    // Editing in a channel counts as posting there
+    if (message.channel) {
+      const { error } = await checkChannelAccess(message.channel, userId, "post");
+      if (error) {
+        return res.status(error.status).send(error.message);
+      }
+    }
+
+    // Keep the previous content as a revision before overwriting it
+    message.revisions.push({
+      content: message.content,
+      editedBy: userId,
+      editedAt: new Date(),
+    });
     message.content = newContent;
     message.edited = true;
     await message.save();
 
+    const { revisions, ...messageData } = message.toObject();
+    await emitToConversation(message, "message-edited", {
+      ...messageData,
+      channelId: message.channel,
+    });
+
     return res.status(200).json({ message: "Message edited successfully." });
   } catch (err) {
     console.log(err);
@@ -119,6 +237,71 @@ export const editMessage = async (req, res) => {
   }
 };
 
+// Get the edit history of a message
+export const getMessageHistory = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.userId;
+
+    const message = await Message.findById(messageId)
+      .select("+revisions")
+      .populate("revisions.editedBy", "id email firstName lastName")
+      .populate("deletedBy", "id email firstName lastName");
+
+    if (!message) {
+      return res.status(404).send("Message not found.");
+    }
+
+    // Only participants of the conversation can see its history
+    const audience = await getMessageAudience(message);
+    if (!audience.includes(userId)) {
+      return res.status(403).send("You are not authorized to view this message.");
+    }
+
+    // Deleted text stays visible only to its sender and to channel owners and
+    // moderators; everyone else just sees who deleted it and when
+    let showContent = !message.deleted || message.sender.toString() === userId;
+    if (!showContent && message.channel) {
+      const channel = await Channel.findById(message.channel);
+      showContent = Boolean(channel?.can(userId, "deleteOthersMessages"));
+    }
+
+    return res.status(200).json({
+      messageId: message._id,
+      content: showContent ? message.content : null,
+      edited: message.edited,
+      revisions: showContent ? message.revisions : [],
+      deleted: message.deleted,
+      deletedBy: message.deletedBy,
+      deletedAt: message.deletedAt,
+    });
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
+// DM participants can pin in their conversation, owner/moderators in a channel
+const canPin = async (message, userId) => {
+  if (message.channel) {
+    const channel = await Channel.findById(message.channel);
+    return Boolean(channel?.can(userId, "pin"));
+  }
+  return [message.sender, message.recipient].some(
+    (id) => id?.toString() === userId
+  );
+};
+
+const pinnedEventData = (message) => ({
+  messageId: message._id,
+  sender: message.sender,
+  recipient: message.recipient,
+  channelId: message.channel,
+  pinned: message.pinned,
+  pinnedBy: message.pinnedBy,
+  pinnedAt: message.pinnedAt,
+});
+
 // Pin a message
 export const pinMessage = async (req, res) => {
   try {
@@ -127,12 +310,11 @@ export const pinMessage = async (req, res) => {
 
     const message = await Message.findById(messageId);
 
-    if (!message) {
+    if (!message || message.deleted) {
       return res.status(404).send("Message not found.");
     }
 
-    // Check if the user is an admin
-    if (!req.isAdmin) {
+    if (!(await canPin(message, userId))) {
       return res.status(403).send("You are not authorized to pin this message.");
     }
 
@@ -143,11 +325,130 @@ export const pinMessage = async (req, res) => {
 
     // Pin the message
     message.pinned = true;
+    message.pinnedBy = userId;
+    message.pinnedAt = new Date();
     await message.save();
 
+    await emitToConversation(message, "message-pinned", pinnedEventData(message));
+
     return res.status(200).json({ message: "Message pinned successfully." });
   } catch (err) {
     console.log(err);
     return res.status(500).send("Internal Server Error");
   }
 };
+
+// Unpin a message
+export const unpinMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.userId;
+
+    const message = await Message.findById(messageId);
+
+    if (!message) {
+      return res.status(404).send("Message not found.");
+    }
+
+    if (!(await canPin(message, userId))) {
+      return res.status(403).send("You are not authorized to unpin this message.");
+    }
+
+    if (!message.pinned) {
+      return res.status(400).send("Message is not pinned.");
+    }
+
+    message.pinned = false;
+    message.pinnedBy = null;
+    message.pinnedAt = null;
+    await message.save();
+
+    await emitToConversation(message, "message-unpinned", pinnedEventData(message));
+
+    return res.status(200).json({ message: "Message unpinned successfully." });
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
+// Get pinned messages between two users
+export const getPinnedMessages = async (req, res) => {
+  try {
+    const user1 = req.userId;
+    const user2 = req.body.id;
+
+    if (!user1 || !mongoose.isValidObjectId(user2)) {
+      return res.status(400).send("Both user IDs are required.");
+    }
+
+    const messages = await Message.find({
+      $or: [
+        { sender: user1, recipient: user2 },
+        { sender: user2, recipient: user1 },
+      ],
+      pinned: true,
+      deleted: false,
+    }).sort({ pinnedAt: -1 });
+
+    return res.status(200).json({ messages });
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
+// Mark a conversation as read up to a message
+export const markRead = async (req, res) => {
+  try {
+    const { messageId } = req.body;
+
+    const result = await markMessagesRead(req.userId, { messageId });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
+const reactionHandler = (add) => async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    const result = await updateReaction(req.userId, { messageId, emoji }, add);
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
+// Add a reaction to a message
+export const addReaction = reactionHandler(true);
+
+// Remove a reaction from a message
+export const removeReaction = reactionHandler(false);
+
+// Search messages in the user's conversations
+export const searchMessagesHandler = async (req, res) => {
+  try {
+    const result = await searchMessages(req.userId, req.body);
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+
+    return res.status(200).json(result);
+  } catch (err) {
+    console.log(err);
+    return res.status(500).send("Internal Server Error");
+  }
+};
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import {
+  getActiveSessions,
+  revokeOtherSessions,
+  revokeSession,
+} from "../services/SessionService.js";
+
+// List the user's active sessions, flagging the one making the request
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.userId);
+
+    return res.status(200).json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error getting sessions:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Log out one of the user's devices
+export const revokeSessionHandler = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({ message: "Valid session ID is required" });
+    }
+
+    const revoked = await revokeSession(req.userId, sessionId);
+    if (revoked === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    return res.status(200).json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Log out every device except the one making the request
+export const revokeOtherSessionsHandler = async (req, res) => {
+  try {
+    const revoked = await revokeOtherSessions(req.userId, req.sessionId);
+    return res.status(200).json({ revoked });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
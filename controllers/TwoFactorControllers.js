@@ -0,0 +1,87 @@
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../services/TwoFactorService.js";
+
+// Start enrolling in two-factor authentication; returns the secret and an
+// otpauth:// URI for the authenticator app's QR code
+// Body: { password }
+export const enrollTwoFactor = async (req, res) => {
+  try {
+    const { error, ...enrollment } = await beginEnrollment(
+      req.userId,
+      req.body.password
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    return res.status(200).json(enrollment);
+  } catch (error) {
+    console.error("Error enrolling in two-factor authentication:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Body: { password, code } with a code from the authenticator app. Returns
+// the recovery codes, which are only ever shown this once.
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ message: "Password and code are required" });
+    }
+
+    const { error, recoveryCodes } = await confirmEnrollment(req.userId, {
+      password,
+      code,
+    });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    return res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    console.error("Error confirming two-factor authentication:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Body: { code } or { recoveryCode }
+export const regenerateRecoveryCodesHandler = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const { error, recoveryCodes } = await regenerateRecoveryCodes(req.userId, {
+      code,
+      recoveryCode,
+    });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    return res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Body: { password, code } or { password, recoveryCode }
+export const disableTwoFactorHandler = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const { error } = await disableTwoFactor(req.userId, {
+      password,
+      code,
+      recoveryCode,
+    });
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    return res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,6 @@
+// Print mail to stdout, for local development
+export const createConsoleTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`--- Mail to ${to} ---\nSubject: ${subject}\n\n${text}\n---`);
+  },
+});
@@ -0,0 +1,14 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+// Write each mail to its own JSON file, so tests can read what was sent
+export const createFileTransport = (directory) => ({
+  send: async (mail) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...mail, sentAt: new Date() }, null, 2)
+    );
+  },
+});
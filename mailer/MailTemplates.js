@@ -0,0 +1,23 @@
+export const emailVerificationMail = ({ url, expiresInHours }) => ({
+  subject: "Verify your email address",
+  text: [
+    "Welcome! Please confirm this is your email address.",
+    `Open this link within ${expiresInHours} hours to verify it:`,
+    "",
+    url,
+    "",
+    "If you didn't sign up, you can ignore this email.",
+  ].join("\n"),
+});
+
+export const passwordResetMail = ({ url, expiresInMinutes }) => ({
+  subject: "Reset your password",
+  text: [
+    "Someone asked to reset the password for your account.",
+    `Open this link within ${expiresInMinutes} minutes to choose a new one:`,
+    "",
+    url,
+    "",
+    "If this wasn't you, you can ignore this email.",
+  ].join("\n"),
+});
@@ -0,0 +1,42 @@
+import { createConsoleTransport } from "./ConsoleTransport.js";
+import { createFileTransport } from "./FileTransport.js";
+
+// Pick the transport from MAIL_TRANSPORT: "console" or "file", which writes
+// to MAIL_DIR. A transport is any object with send({ from, to, subject, text }).
+// Both local transports expose live reset and verification links, so in
+// production one has to be chosen explicitly (or set with setTransport).
+const createTransport = () => {
+  const transport =
+    process.env.MAIL_TRANSPORT ??
+    (process.env.NODE_ENV === "production" ? null : "console");
+
+  if (!transport) {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+
+  if (transport === "console") {
+    return createConsoleTransport();
+  }
+  if (transport === "file") {
+    return createFileTransport(process.env.MAIL_DIR ?? "mail");
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+};
+
+let transport = null;
+
+// Swap in another transport, e.g. an SMTP or API client
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  // Created lazily so environment variables loaded by dotenv are seen
+  if (!transport) transport = createTransport();
+  await transport.send({
+    from: process.env.MAIL_FROM ?? "no-reply@localhost",
+    to,
+    subject,
+    text,
+  });
+};
@@ -1,11 +1,77 @@
 import jwt from "jsonwebtoken";
+import { checkSession } from "../services/SessionService.js";
 
+// Access tokens are only honored while their session has not been revoked
 export const verifyToken = (req, res, next) => {
   const token = req.cookies.jwt;
   if (!token) return res.status(401).send("You are not authenticated!");
   jwt.verify(token, process.env.JWT_KEY, async (err, payload) => {
-    if (err) return res.status(403).send("Token is not valid!");
-    req.userId = payload?.userId;
+    // Expired tokens are renewed with POST /api/auth/refresh-token
+    if (err?.name === "TokenExpiredError") {
+      return res.status(401).send("Token has expired!");
+    }
+    if (err || !payload?.sid) return res.status(403).send("Token is not valid!");
+    try {
+      if (!(await checkSession(payload.sid, payload.userId))) {
+        return res.status(401).send("Session has been revoked!");
+      }
+    } catch (error) {
+      console.error("Error checking session:", error);
+      return res.status(500).send("Internal Server Error");
+    }
+    req.userId = payload.userId;
+    req.sessionId = payload.sid;
+    next();
+  });
+};
+
+// Read a single cookie out of a raw Cookie header
+const getCookie = (header, name) => {
+  if (!header) return null;
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    if (part.slice(0, index).trim() === name) {
+      // A malformed value counts as no cookie rather than throwing
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+const socketAuthError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+// Socket.IO middleware: verify the same jwt cookie used by the REST API
+export const verifySocketToken = (socket, next) => {
+  const token = getCookie(socket.handshake.headers.cookie, "jwt");
+  if (!token) {
+    return next(socketAuthError("You are not authenticated!", "UNAUTHENTICATED"));
+  }
+  jwt.verify(token, process.env.JWT_KEY, async (err, payload) => {
+    if (err?.name === "TokenExpiredError") {
+      return next(socketAuthError("Token has expired!", "TOKEN_EXPIRED"));
+    }
+    if (err || !payload?.userId || !payload.sid) {
+      return next(socketAuthError("Token is not valid!", "TOKEN_INVALID"));
+    }
+    try {
+      if (!(await checkSession(payload.sid, payload.userId))) {
+        return next(socketAuthError("Session has been revoked!", "SESSION_REVOKED"));
+      }
+    } catch (error) {
+      console.error("Error checking session:", error);
+      return next(socketAuthError("Internal Server Error", "SERVER_ERROR"));
+    }
+    socket.userId = payload.userId;
+    socket.sessionId = payload.sid;
     next();
   });
 };
@@ -0,0 +1,18 @@
+import { checkChannelAccess } from "../services/ChannelAccessService.js";
+
+// Only let the request through if the user may perform action on the channel
+// named by :channelId or body.channelId; the loaded channel is set on req.channel
+export const requireChannelAccess = (action = "read") => async (req, res, next) => {
+  try {
+    const channelId = req.params.channelId ?? req.body?.channelId;
+    const { channel, error } = await checkChannelAccess(channelId, req.userId, action);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    req.channel = channel;
+    next();
+  } catch (error) {
+    console.error("Error checking channel access:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
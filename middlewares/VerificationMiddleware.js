@@ -0,0 +1,16 @@
+import { checkVerified } from "../services/EmailVerificationService.js";
+
+// Only let the request through if the user may perform action, which depends
+// on whether they verified their email and on UNVERIFIED_RESTRICTIONS
+export const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    const { error } = await checkVerified(req.userId, action);
+    if (error) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    next();
+  } catch (error) {
+    console.error("Error checking email verification:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const channelInviteSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Channels",
+    required: true,
+    index: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // null means the invite can be used any number of times
+  maxUses: {
+    type: Number,
+    default: null,
+  },
+  uses: {
+    type: Number,
+    default: 0,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+channelInviteSchema.methods.isUsable = function () {
+  return (
+    !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    (this.maxUses === null || this.uses < this.maxUses)
+  );
+};
+
+const ChannelInvite = mongoose.model("ChannelInvites", channelInviteSchema);
+export default ChannelInvite;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+export const JOIN_REQUEST_STATUSES = ["pending", "approved", "rejected", "cancelled"];
+
+const channelJoinRequestSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Channels",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    required: true,
+  },
+  message: {
+    type: String,
+    default: null,
+    maxlength: 500,
+  },
+  status: {
+    type: String,
+    enum: JOIN_REQUEST_STATUSES,
+    default: "pending",
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A user can only have one pending request per channel
+channelJoinRequestSchema.index(
+  { channel: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+const ChannelJoinRequest = mongoose.model(
+  "ChannelJoinRequests",
+  channelJoinRequestSchema
+);
+export default ChannelJoinRequest;
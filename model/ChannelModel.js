@@ -1,5 +1,47 @@
 import mongoose from "mongoose";
 
+// The owner is stored in `admin`; every other member is a "member" unless
+// listed in `memberRoles`
+export const CHANNEL_ROLES = ["owner", "moderator", "member", "read-only"];
+
+// Roles allowed to perform each channel action
+export const CHANNEL_PERMISSIONS = {
+  read: ["owner", "moderator", "member", "read-only"],
+  post: ["owner", "moderator", "member"],
+  rename: ["owner", "moderator"],
+  setPhoto: ["owner", "moderator"],
+  addMember: ["owner", "moderator"],
+  removeMember: ["owner", "moderator"],
+  changeRole: ["owner", "moderator"],
+  pin: ["owner", "moderator"],
+  deleteOthersMessages: ["owner", "moderator"],
+  archive: ["owner"],
+  delete: ["owner"],
+  changeVisibility: ["owner", "moderator"],
+  invite: ["owner", "moderator"],
+};
+
+export const CHANNEL_VISIBILITIES = ["public", "private"];
+
+// Archived channels are read-only; only these actions still apply
+export const ARCHIVED_ACTIONS = ["read", "archive", "delete"];
+
+const memberRoleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["moderator", "member", "read-only"],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 const channelSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -9,6 +51,12 @@ const channelSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Public channels can be found with browse and joined without an invite
+  visibility: {
+    type: String,
+    enum: CHANNEL_VISIBILITIES,
+    default: "private",
+  },
   members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "Users",
@@ -19,13 +67,23 @@ const channelSchema = new mongoose.Schema({
     ref: "Users",
     required: true,
   },
-  messages: [
-    {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "Messages",
-      required: false,
-    },
-  ],
+  memberRoles: {
+    type: [memberRoleSchema],
+    default: [],
+  },
+  archived: {
+    type: Boolean,
+    default: false,
+  },
+  archivedAt: {
+    type: Date,
+    default: null,
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -46,5 +104,96 @@ channelSchema.pre("findOneAndUpdate", function (next) {
   next();
 });
 
+channelSchema.methods.isMember = function (userId) {
+  const id = userId?.toString();
+  return (
+    this.admin.toString() === id ||
+    this.members.some((member) => member.toString() === id)
+  );
+};
+
+// Role of a user in this channel, or null if they are not a member
+channelSchema.methods.getRole = function (userId) {
+  const id = userId?.toString();
+  if (this.admin.toString() === id) return "owner";
+  if (!this.isMember(id)) return null;
+  const entry = this.memberRoles.find((item) => item.user.toString() === id);
+  return entry ? entry.role : "member";
+};
+
+channelSchema.methods.can = function (userId, action) {
+  if (this.archived && !ARCHIVED_ACTIONS.includes(action)) return false;
+  const role = this.getRole(userId);
+  return Boolean(role) && CHANNEL_PERMISSIONS[action].includes(role);
+};
+
+// Store a member's role; "owner" transfers ownership and demotes the previous
+// owner to moderator
+channelSchema.methods.setRole = function (userId, role) {
+  const id = userId.toString();
+  if (role === "owner") {
+    const previousOwner = this.admin;
+    this.admin = userId;
+    // The owner is not necessarily listed in members
+    if (!this.members.some((member) => member.toString() === previousOwner.toString())) {
+      this.members.push(previousOwner);
+    }
+    this.setRole(previousOwner, "moderator");
+  }
+  this.memberRoles = this.memberRoles.filter(
+    (item) => item.user.toString() !== id
+  );
+  if (role !== "owner" && role !== "member") {
+    this.memberRoles.push({ user: userId, role });
+  }
+};
+
+// Ids of the owner and moderators, who manage membership
+channelSchema.methods.getModeratorIds = function () {
+  return [
+    this.admin,
+    ...this.memberRoles
+      .filter((item) => item.role === "moderator")
+      .map((item) => item.user),
+  ].map((id) => id.toString());
+};
+
+// Add a user as a regular member; returns false if they already belong
+channelSchema.methods.addMember = function (userId) {
+  if (this.isMember(userId)) return false;
+  this.members.push(userId);
+  return true;
+};
+
+// Remove a user from the channel. When the owner leaves, ownership passes to
+// the first moderator, then the first member, then the first read-only member.
+// Returns the new owner's id, or null if ownership did not change.
+channelSchema.methods.removeMember = function (userId) {
+  const id = userId.toString();
+  const wasOwner = this.admin.toString() === id;
+
+  this.members = this.members.filter((member) => member.toString() !== id);
+  this.memberRoles = this.memberRoles.filter(
+    (item) => item.user.toString() !== id
+  );
+
+  if (!wasOwner) return null;
+
+  const candidates = this.members.filter((member) => member.toString() !== id);
+  for (const role of ["moderator", "member", "read-only"]) {
+    const successor = candidates.find(
+      (member) => this.getRole(member) === role
+    );
+    if (successor) {
+      this.admin = successor;
+      this.memberRoles = this.memberRoles.filter(
+        (item) => item.user.toString() !== successor.toString()
+      );
+      return successor;
+    }
+  }
+  return null;
+};
+
 const Channel = mongoose.model("Channels", channelSchema);
 export default Channel;
\ No newline at end of file
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Named monotonic sequences
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model("Counters", counterSchema);
+export default Counter;
@@ -1,4 +1,40 @@
 import mongoose from "mongoose";
+import path from "path";
+
+// Per-recipient receipt (one entry per channel member for channel messages)
+const receiptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Content of a message before an edit, kept for the audit trail
+const revisionSchema = new mongoose.Schema(
+  {
+    content: {
+      type: String,
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Users",
+      required: true,
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const messageSchema = new mongoose.Schema({
   sender: {
@@ -11,6 +47,11 @@ const messageSchema = new mongoose.Schema({
     ref: "Users",
     required: false,
   },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Channels",
+    default: null,
+  },
   messageType: {
     type: String,
     enum: ["text", "audio", "file"],
@@ -34,23 +75,132 @@ const messageSchema = new mongoose.Schema({
       return this.messageType === "file";
     },
   },
+  // Original name of an uploaded file, indexed for search
+  fileName: {
+    type: String,
+    default: null,
+  },
   timestamp: {
     type: Date,
     default: Date.now,
   },
+  // Idempotency key generated by the client, unique per sender, so a retried
+  // send returns the original message instead of creating a duplicate
+  clientMessageId: {
+    type: String,
+    default: null,
+  },
+  // Message quoted inline by this one
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Messages",
+    default: null,
+  },
+  // Root message of the thread this reply belongs to
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Messages",
+    default: null,
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null,
+  },
   deleted: {
     type: Boolean,
     default: false,
   },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    default: null,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
   edited: {
     type: Boolean,
     default: false,
   },
+  revisions: {
+    type: [revisionSchema],
+    default: [],
+    select: false,
+  },
+  // emoji -> ids of the users who reacted with it
+  reactions: {
+    type: Map,
+    of: [{ type: mongoose.Schema.Types.ObjectId, ref: "Users" }],
+    default: {},
+  },
   pinned: {
     type: Boolean,
     default: false,
   },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    default: null,
+  },
+  pinnedAt: {
+    type: Date,
+    default: null,
+  },
+  deliveredTo: {
+    type: [receiptSchema],
+    default: [],
+  },
+  readBy: {
+    type: [receiptSchema],
+    default: [],
+  },
 });
 
+messageSchema.pre("save", function (next) {
+  if (this.fileUrl && !this.fileName) {
+    this.fileName = path.basename(this.fileUrl);
+  }
+  next();
+});
+
+// Serialize reactions as [{ emoji, count, users }] instead of the raw map
+export const summarizeReactions = (reactions) => {
+  const entries =
+    reactions instanceof Map
+      ? [...reactions.entries()]
+      : Object.entries(reactions ?? {});
+  return entries
+    .filter(([, users]) => users.length > 0)
+    .map(([emoji, users]) => ({ emoji, count: users.length, users }));
+};
+
+const transform = (doc, ret) => {
+  if (ret.reactions !== undefined) {
+    ret.reactions = summarizeReactions(ret.reactions);
+  }
+  return ret;
+};
+messageSchema.set("toJSON", { transform });
+messageSchema.set("toObject", { transform });
+
+// Channel history is paged by channel, DM history by its two participants
+messageSchema.index({ channel: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ sender: 1, recipient: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ recipient: 1, timestamp: -1 });
+messageSchema.index({ thread: 1, timestamp: -1, _id: -1 });
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: "string" } } }
+);
+messageSchema.index(
+  { content: "text", fileName: "text" },
+  { weights: { content: 2, fileName: 1 }, name: "message_text_search" }
+);
+
 const Message = mongoose.model("Messages", messageSchema);
 export default Message;
\ No newline at end of file
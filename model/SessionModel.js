@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// One login on one device. Access tokens carry the session id, and the
+// refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    required: true,
+    index: true,
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // The token it replaced, kept to detect a stolen token being replayed
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  // User-Agent of the client that logged in
+  device: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Sessions", sessionSchema);
+export default Session;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// How long missed events are kept for clients to sync on reconnect
+export const USER_EVENT_TTL = 30 * 24 * 60 * 60; // seconds
+
+// One socket event as delivered to one user, replayed on reconnect
+const userEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    required: true,
+  },
+  // Shared by every recipient of the same event, increasing in emit order
+  seq: {
+    type: Number,
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+userEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+userEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: USER_EVENT_TTL });
+
+const UserEvent = mongoose.model("UserEvents", userEventSchema);
+export default UserEvent;
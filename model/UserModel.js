@@ -31,14 +31,65 @@ const userSchema = new mongoose.Schema({
     type: Number,
     required: false,
   },
+  lastSeen: {
+    type: Date,
+    default: null,
+  },
+  // Set to false at signup. Accounts created before verification existed
+  // have no value and count as verified.
+  emailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  // TOTP two-factor authentication; secrets are never selected by default
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null,
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // Secret from an enrollment that hasn't been confirmed with a code yet
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false,
+  },
+  // Last time step a code was accepted for, so codes can't be replayed
+  twoFactorLastCounter: {
+    type: Number,
+    default: null,
+    select: false,
+  },
 });
 
 userSchema.pre("save", async function (next) {
+  // Only hash a password that was just set, never the stored hash again
+  if (!this.isModified("password")) return next();
   const salt = await bcrypt.genSalt();
   this.password = await bcrypt.hash(this.password, salt);
   next();
 });
 
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
 userSchema.statics.login = async function (email, password) {
   const user = await this.findOne({ email });
   if (user) {
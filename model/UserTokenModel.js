@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+export const USER_TOKEN_TYPES = [
+  "password-reset",
+  "email-verification",
+  "two-factor-challenge",
+];
+
+// Single-use tokens emailed to a user. Only a SHA-256 hash is stored, so a
+// database leak does not expose usable links.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Users",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: USER_TOKEN_TYPES,
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  // Failed uses, for tokens that must be completed with a guessable code
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+userTokenSchema.index({ user: 1, type: 1 });
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model("UserTokens", userTokenSchema);
+export default UserToken;
@@ -2,21 +2,65 @@ import { Router } from "express";
 import {
   getUserInfo,
   login,
+  completeLogin,
   signup,
   logout,
+  refreshToken,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   updateProfile,
   addProfileImage,
   removeProfileImage,
 } from "../controllers/AuthController.js";
+import {
+  getSessions,
+  revokeSessionHandler,
+  revokeOtherSessionsHandler,
+} from "../controllers/SessionControllers.js";
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodesHandler,
+  disableTwoFactorHandler,
+} from "../controllers/TwoFactorControllers.js";
 import { verifyToken } from "../middlewares/AuthMiddleware.js";
 import multer from "multer";
+import rateLimit from "express-rate-limit";
 
 const authRoutes = Router();
 const upload = multer({ dest: "uploads/profiles/" });
 
+// Each request can send an email, so keep them from being used for spam
+const passwordResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, limit: 5 });
+
+// Codes are only 6 digits, so guessing is limited per client as well as per challenge
+const twoFactorLimiter = rateLimit({ windowMs: 15 * 60 * 1000, limit: 20 });
+
 authRoutes.post("/signup", signup);
 authRoutes.post("/login", login);
+authRoutes.post("/complete-login", twoFactorLimiter, completeLogin);
 authRoutes.post("/logout", logout);
+authRoutes.post("/refresh-token", refreshToken);
+authRoutes.get("/sessions", verifyToken, getSessions);
+authRoutes.delete("/sessions/:sessionId", verifyToken, revokeSessionHandler);
+authRoutes.post("/revoke-other-sessions", verifyToken, revokeOtherSessionsHandler);
+authRoutes.post("/change-password", verifyToken, changePassword);
+authRoutes.post("/forgot-password", passwordResetLimiter, forgotPassword);
+authRoutes.post("/reset-password", passwordResetLimiter, resetPassword);
+authRoutes.post("/verify-email", verifyEmail);
+authRoutes.post("/resend-verification", verifyToken, resendVerification);
+authRoutes.post("/enroll-two-factor", verifyToken, twoFactorLimiter, enrollTwoFactor);
+authRoutes.post("/confirm-two-factor", verifyToken, twoFactorLimiter, confirmTwoFactor);
+authRoutes.post(
+  "/regenerate-recovery-codes",
+  verifyToken,
+  twoFactorLimiter,
+  regenerateRecoveryCodesHandler
+);
+authRoutes.post("/disable-two-factor", verifyToken, twoFactorLimiter, disableTwoFactorHandler);
 authRoutes.get("/userinfo", verifyToken, getUserInfo);
 authRoutes.post("/update-profile", verifyToken, updateProfile);
 authRoutes.post(
@@ -2,40 +2,145 @@ import { Router } from "express";
 import {
   createChannel,
   getChannelMessages,
+  getChannelPinnedMessages,
   getUserChannels,
   addMember,
   updateMemberRole,
   setGroupPhoto,
   changeGroupName,
   removeMember,
+  leaveChannel,
+  archiveChannel,
+  unarchiveChannel,
+  deleteChannel,
+  updateVisibility,
+  browseChannels,
+  joinChannel,
 } from "../controllers/ChannelControllers.js";
+import {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInvitePreview,
+  joinByInvite,
+} from "../controllers/ChannelInviteControllers.js";
+import {
+  requestToJoin,
+  cancelJoinRequest,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
+} from "../controllers/ChannelJoinRequestControllers.js";
 import { verifyToken } from "../middlewares/AuthMiddleware.js";
+import { requireChannelAccess } from "../middlewares/ChannelAccessMiddleware.js";
+import { requireVerifiedEmail } from "../middlewares/VerificationMiddleware.js";
 import { upload } from "../controllers/ChannelControllers.js";
 
 const channelRoutes = Router();
 
 // Create a new channel
-channelRoutes.post("/create-channel", verifyToken, createChannel);
+channelRoutes.post("/create-channel", verifyToken, requireVerifiedEmail("createChannel"), createChannel);
 
 // Get all channels for the authenticated user
 channelRoutes.get("/get-user-channels", verifyToken, getUserChannels);
 
 // Get messages for a specific channel
-channelRoutes.get("/get-channel-messages/:channelId", verifyToken, getChannelMessages);
+channelRoutes.get(
+  "/get-channel-messages/:channelId",
+  verifyToken,
+  requireChannelAccess("read"),
+  getChannelMessages
+);
+
+// Get pinned messages for a specific channel
+channelRoutes.get(
+  "/get-pinned-messages/:channelId",
+  verifyToken,
+  requireChannelAccess("read"),
+  getChannelPinnedMessages
+);
 
 // Add a member to a channel
-channelRoutes.post("/add-member", verifyToken, addMember);
+channelRoutes.post("/add-member", verifyToken, requireChannelAccess("addMember"), addMember);
 
 // Update a member's role in a channel
-channelRoutes.put("/update-member-role", verifyToken, updateMemberRole);
+channelRoutes.put(
+  "/update-member-role",
+  verifyToken,
+  requireChannelAccess("changeRole"),
+  updateMemberRole
+);
 
 // Set or update the group photo for a channel
 channelRoutes.post("/set-group-photo", verifyToken, upload.single("photo"), setGroupPhoto);
 
 // Change the name of a channel
-channelRoutes.put("/change-group-name", verifyToken, changeGroupName);
+channelRoutes.put("/change-group-name", verifyToken, requireChannelAccess("rename"), changeGroupName);
 
 // Remove a member from a channel
-channelRoutes.delete("/remove-member", verifyToken, removeMember);
+channelRoutes.delete(
+  "/remove-member",
+  verifyToken,
+  requireChannelAccess("removeMember"),
+  removeMember
+);
+
+// Leave a channel
+channelRoutes.post("/leave-channel", verifyToken, requireChannelAccess("read"), leaveChannel);
+
+// Archive or restore a channel
+channelRoutes.put("/archive-channel", verifyToken, requireChannelAccess("archive"), archiveChannel);
+channelRoutes.put("/unarchive-channel", verifyToken, requireChannelAccess("archive"), unarchiveChannel);
+
+// Delete a channel with its messages and photo
+channelRoutes.delete(
+  "/delete-channel/:channelId",
+  verifyToken,
+  requireChannelAccess("delete"),
+  deleteChannel
+);
+
+// Make a channel public or private
+channelRoutes.put(
+  "/update-visibility",
+  verifyToken,
+  requireChannelAccess("changeVisibility"),
+  updateVisibility
+);
+
+// Browse public channels and join one
+channelRoutes.get("/browse-channels", verifyToken, browseChannels);
+channelRoutes.post("/join-channel", verifyToken, requireVerifiedEmail("joinChannel"), joinChannel);
+
+// Manage invite links for a channel
+channelRoutes.post("/create-invite", verifyToken, requireChannelAccess("invite"), createInvite);
+channelRoutes.get("/get-invites/:channelId", verifyToken, requireChannelAccess("invite"), getInvites);
+channelRoutes.delete("/revoke-invite", verifyToken, requireChannelAccess("invite"), revokeInvite);
+
+// Preview an invite and join with it
+channelRoutes.get("/invite/:code", verifyToken, getInvitePreview);
+channelRoutes.post("/join-by-invite", verifyToken, requireVerifiedEmail("joinChannel"), joinByInvite);
+
+// Request to join a private channel, and review requests
+channelRoutes.post("/request-to-join", verifyToken, requireVerifiedEmail("joinChannel"), requestToJoin);
+channelRoutes.delete("/cancel-join-request", verifyToken, cancelJoinRequest);
+channelRoutes.get(
+  "/get-join-requests/:channelId",
+  verifyToken,
+  requireChannelAccess("addMember"),
+  getJoinRequests
+);
+channelRoutes.post(
+  "/approve-join-request",
+  verifyToken,
+  requireChannelAccess("addMember"),
+  approveJoinRequest
+);
+channelRoutes.post(
+  "/reject-join-request",
+  verifyToken,
+  requireChannelAccess("addMember"),
+  rejectJoinRequest
+);
 
 export default channelRoutes;
\ No newline at end of file
@@ -2,6 +2,7 @@ import { Router } from "express";
 import {
   getAllContacts,
   getContactsForList,
+  getPresence,
   searchContacts,
 } from "../controllers/ContacsControllers.js";
 import { verifyToken } from "../middlewares/AuthMiddleware.js";
@@ -11,5 +12,6 @@ const contactsRoutes = Router();
 contactsRoutes.post("/search", verifyToken, searchContacts);
 contactsRoutes.get("/all-contacts", verifyToken, getAllContacts);
 contactsRoutes.get("/get-contacts-for-list", verifyToken, getContactsForList);
+contactsRoutes.post("/get-presence", verifyToken, getPresence);
 
 export default contactsRoutes;
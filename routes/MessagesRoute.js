@@ -1,5 +1,19 @@
 import { Router } from "express";
-import { getMessages, uploadFile, deleteMessage, editMessage } from "../controllers/MessagesController.js";
+import {
+  getMessages,
+  uploadFile,
+  deleteMessage,
+  editMessage,
+  markRead,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+  getMessageHistory,
+  getThreadMessages,
+  addReaction,
+  removeReaction,
+  searchMessagesHandler,
+} from "../controllers/MessagesController.js";
 import { verifyToken } from "../middlewares/AuthMiddleware.js";
 import multer from "multer";
 
@@ -8,8 +22,17 @@ const upload = multer({ dest: "uploads/files/" });
 
 // Routes
 messagesRoutes.post("/get-messages", verifyToken, getMessages);
+messagesRoutes.get("/get-thread/:messageId", verifyToken, getThreadMessages);
+messagesRoutes.post("/search-messages", verifyToken, searchMessagesHandler);
 messagesRoutes.post("/upload-file", verifyToken, upload.single("file"), uploadFile);
 messagesRoutes.delete("/delete-message/:messageId", verifyToken, deleteMessage);
 messagesRoutes.put("/edit-message/:messageId", verifyToken, editMessage);
+messagesRoutes.get("/get-message-history/:messageId", verifyToken, getMessageHistory);
+messagesRoutes.post("/mark-read", verifyToken, markRead);
+messagesRoutes.put("/pin-message/:messageId", verifyToken, pinMessage);
+messagesRoutes.put("/unpin-message/:messageId", verifyToken, unpinMessage);
+messagesRoutes.post("/get-pinned-messages", verifyToken, getPinnedMessages);
+messagesRoutes.put("/add-reaction/:messageId", verifyToken, addReaction);
+messagesRoutes.put("/remove-reaction/:messageId", verifyToken, removeReaction);
 
 export default messagesRoutes;
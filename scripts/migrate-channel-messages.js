@@ -0,0 +1,50 @@
+// Backfill Message.channel from the legacy Channel.messages arrays, then drop
+// the arrays. Safe to run more than once.
+//   npm run migrate:channel-messages
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Message from "../model/MessagesModel.js";
+import Channel from "../model/ChannelModel.js";
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.DATABSE_URL);
+
+  // Channel.messages is no longer in the schema, so read the raw documents
+  const channels = Channel.collection.find(
+    { messages: { $exists: true } },
+    { projection: { messages: 1 } }
+  );
+
+  let channelCount = 0;
+  let messageCount = 0;
+
+  for await (const channel of channels) {
+    if (channel.messages.length > 0) {
+      const result = await Message.updateMany(
+        { _id: { $in: channel.messages } },
+        { $set: { channel: channel._id } }
+      );
+      messageCount += result.modifiedCount;
+    }
+    await Channel.collection.updateOne(
+      { _id: channel._id },
+      { $unset: { messages: "" } }
+    );
+    channelCount += 1;
+  }
+
+  await Message.createIndexes();
+
+  console.log(
+    `Migrated ${channelCount} channels, ${messageCount} messages updated`
+  );
+};
+
+migrate()
+  .catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// Backfill Message.fileName for file messages sent before search existed and
+// build the text index. Safe to run more than once.
+//   npm run migrate:message-file-names
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import path from "path";
+import Message from "../model/MessagesModel.js";
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.DATABSE_URL);
+
+  const messages = Message.find(
+    { fileUrl: { $ne: null }, fileName: null },
+    "fileUrl"
+  ).cursor();
+
+  let count = 0;
+  for await (const message of messages) {
+    await Message.updateOne(
+      { _id: message._id },
+      { $set: { fileName: path.basename(message.fileUrl) } }
+    );
+    count += 1;
+  }
+
+  await Message.createIndexes();
+
+  console.log(`Migrated ${count} file messages`);
+};
+
+migrate()
+  .catch((err) => {
+    console.log(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
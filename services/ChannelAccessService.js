@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import Channel, { ARCHIVED_ACTIONS } from "../model/ChannelModel.js";
+
+const FORBIDDEN_MESSAGES = {
+  read: "You are not a member of this channel",
+  post: "You cannot post in this channel",
+  rename: "Only the owner or moderators can change the group name",
+  setPhoto: "Only the owner or moderators can change the group photo",
+  addMember: "Only the owner or moderators can add members",
+  removeMember: "Only the owner or moderators can remove members",
+  changeRole: "Only the owner or moderators can update roles",
+  pin: "Only the owner or moderators can pin messages",
+  deleteOthersMessages: "Only the owner or moderators can delete others' messages",
+  archive: "Only the owner can archive the channel",
+  delete: "Only the owner can delete the channel",
+  changeVisibility: "Only the owner or moderators can change the channel visibility",
+  invite: "Only the owner or moderators can manage invites",
+};
+
+// Load a channel and check that userId may perform action on it.
+// Resolves to { channel } or { error: { status, message } }.
+export const checkChannelAccess = async (channelId, userId, action = "read") => {
+  if (!mongoose.isValidObjectId(channelId)) {
+    return { error: { status: 400, message: "Valid channel ID is required" } };
+  }
+
+  const channel = await Channel.findById(channelId);
+  if (!channel) {
+    return { error: { status: 404, message: "Channel not found" } };
+  }
+
+  if (!channel.isMember(userId)) {
+    return { error: { status: 403, message: FORBIDDEN_MESSAGES.read } };
+  }
+
+  if (channel.archived && !ARCHIVED_ACTIONS.includes(action)) {
+    return { error: { status: 403, message: "This channel is archived" } };
+  }
+
+  if (!channel.can(userId, action)) {
+    return { error: { status: 403, message: FORBIDDEN_MESSAGES[action] } };
+  }
+
+  return { channel };
+};
@@ -0,0 +1,33 @@
+import { emitToUsers } from "../socket.js";
+
+// Channel notifications are only ever emitted by the server, after the change
+// has been saved, so clients cannot spoof them
+
+const memberIds = (channel) =>
+  [...new Set([...channel.members, channel.admin].map((id) => id.toString()))];
+
+// Tell current members (except `excludeIds`) about new channel details
+export const notifyChannelUpdated = (channel, excludeIds = []) => {
+  const excluded = excludeIds.map((id) => id.toString());
+  emitToUsers(
+    memberIds(channel).filter((id) => !excluded.includes(id)),
+    "channel-updated",
+    { channel }
+  );
+};
+
+// Tell new members they were added and everyone else that membership changed
+export const notifyAddedToChannel = (channel, userIds) => {
+  emitToUsers(userIds, "added-to-channel", { channel });
+  notifyChannelUpdated(channel, userIds);
+};
+
+// Tell a user they no longer belong to a channel (removed or left) and the
+// remaining members that membership changed
+export const notifyRemovedFromChannel = (channel, userId, details = {}) => {
+  emitToUsers([userId], "removed-from-channel", {
+    channelId: channel._id,
+    ...details,
+  });
+  notifyChannelUpdated(channel, [userId]);
+};
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import Channel from "../model/ChannelModel.js";
+import Message from "../model/MessagesModel.js";
+import { emitToUsers } from "../socket.js";
+
+// Fields of a quoted message sent along with the reply
+export const REPLY_TO_FIELDS = "sender content messageType fileUrl deleted timestamp";
+
+// Ids of everyone who receives a channel's events (members and admin)
+export const getChannelMemberIds = async (channelId) => {
+  const channel = await Channel.findById(channelId, "members admin");
+  if (!channel) return [];
+  return [
+    ...new Set([...channel.members, channel.admin].map((id) => id.toString())),
+  ];
+};
+
+// Everyone who can see a message: both DM participants or all channel members
+export const getMessageAudience = async (message) => {
+  if (message.channel) {
+    return getChannelMemberIds(message.channel);
+  }
+  return [message.sender, message.recipient]
+    .filter(Boolean)
+    .map((id) => id.toString());
+};
+
+// Whether a message belongs to the given channel or DM conversation
+export const isSameConversation = (message, { channel, sender, recipient }) => {
+  if (channel) {
+    return message.channel?.toString() === channel.toString();
+  }
+  const pair = [sender, recipient].map(String).sort().join();
+  return (
+    !message.channel &&
+    Boolean(message.recipient) &&
+    [message.sender, message.recipient].map(String).sort().join() === pair
+  );
+};
+
+// Validate the quoted message and thread root of a new message. References
+// outside the conversation are dropped; replies to a thread reply join the
+// same thread instead of nesting.
+export const resolveReferences = async (conversation, { replyTo, threadId }) => {
+  const findInConversation = async (messageId) => {
+    if (!mongoose.isValidObjectId(messageId)) return null;
+    const message = await Message.findById(messageId);
+    if (!message || message.deleted) return null;
+    return isSameConversation(message, conversation) ? message : null;
+  };
+
+  const [quoted, threadTarget] = await Promise.all([
+    replyTo ? findInConversation(replyTo) : null,
+    threadId ? findInConversation(threadId) : null,
+  ]);
+
+  let threadRoot = threadTarget;
+  if (threadTarget?.thread) {
+    threadRoot = await findInConversation(threadTarget.thread);
+  }
+
+  return { replyTo: quoted?._id ?? null, threadRoot };
+};
+
+// Users following a thread: the root's author and everyone who replied
+export const getThreadParticipants = async (root) => {
+  const repliers = await Message.distinct("sender", { thread: root._id });
+  return [...new Set([root.sender, ...repliers].map((id) => id.toString()))];
+};
+
+// Emit an event to every member of a loaded channel document
+export const emitToChannel = (channel, event, data) => {
+  emitToUsers([...channel.members, channel.admin], event, data);
+};
+
+// Emit an event to every participant of the conversation a message belongs to
+export const emitToConversation = async (message, event, data) => {
+  const audience = await getMessageAudience(message);
+  emitToUsers(audience, event, data);
+};
@@ -0,0 +1,104 @@
+import User from "../model/UserModel.js";
+import UserToken from "../model/UserTokenModel.js";
+import { consumeUserToken, issueUserToken } from "./UserTokenService.js";
+import { sendMail } from "../mailer/Mailer.js";
+import { emailVerificationMail } from "../mailer/MailTemplates.js";
+
+// Actions that can be withheld from users who haven't verified their email:
+//   createChannel  create channels
+//   joinChannel    join channels or be added to them by someone else
+//   sendMessage    send direct or channel messages
+export const UNVERIFIED_ACTIONS = ["createChannel", "joinChannel", "sendMessage"];
+const DEFAULT_RESTRICTIONS = "createChannel,joinChannel";
+
+const VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+const RESEND_COOLDOWN = 60 * 1000;
+
+// Restricted actions come from UNVERIFIED_RESTRICTIONS, a comma separated
+// list of UNVERIFIED_ACTIONS (set it empty to restrict nothing)
+export const isRestricted = (action) =>
+  (process.env.UNVERIFIED_RESTRICTIONS ?? DEFAULT_RESTRICTIONS)
+    .split(",")
+    .map((name) => name.trim())
+    .includes(action);
+
+const notVerifiedError = {
+  error: {
+    status: 403,
+    message: "Verify your email address first",
+    code: "EMAIL_NOT_VERIFIED",
+  },
+};
+
+// Error if userId may not perform action until they verify their email
+export const checkVerified = async (userId, action) => {
+  if (!isRestricted(action)) return {};
+  const user = await User.findById(userId, "emailVerified");
+  return user && !user.isEmailVerified() ? notVerifiedError : {};
+};
+
+// The users among userIds who may not perform action yet
+export const findUnverifiedUsers = async (userIds, action) => {
+  if (!isRestricted(action)) return [];
+  return User.find({ _id: { $in: userIds }, emailVerified: false }, "_id email");
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(
+    user._id,
+    "email-verification",
+    VERIFICATION_TTL
+  );
+  await sendMail({
+    to: user.email,
+    ...emailVerificationMail({
+      url: `${process.env.ORIGIN}/verify-email?token=${token}`,
+      expiresInHours: VERIFICATION_TTL / (60 * 60 * 1000),
+    }),
+  });
+};
+
+// Send a fresh verification link, at most once per RESEND_COOLDOWN
+export const resendVerificationEmail = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return { error: { status: 404, message: "User not found" } };
+  }
+  if (user.isEmailVerified()) {
+    return { error: { status: 400, message: "Email is already verified" } };
+  }
+
+  const latest = await UserToken.findOne(
+    { user: user._id, type: "email-verification" },
+    "createdAt"
+  ).sort({ createdAt: -1 });
+  const wait = latest ? latest.createdAt.getTime() + RESEND_COOLDOWN - Date.now() : 0;
+  if (wait > 0) {
+    return {
+      error: {
+        status: 429,
+        message: "Please wait before requesting another email",
+        retryAfter: Math.ceil(wait / 1000),
+      },
+    };
+  }
+
+  await sendVerificationEmail(user);
+  return {};
+};
+
+// Mark the account behind a verification link as verified
+export const verifyEmail = async (token) => {
+  const verification = await consumeUserToken(token, "email-verification");
+  if (!verification) {
+    return {
+      error: { status: 400, message: "Verification link is invalid or has expired" },
+    };
+  }
+
+  await User.updateOne(
+    { _id: verification.user },
+    { emailVerified: true, emailVerifiedAt: new Date() }
+  );
+  return { userId: verification.user };
+};
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import Counter from "../model/CounterModel.js";
+import UserEvent from "../model/UserEventModel.js";
+
+const SYNC_BATCH_SIZE = 500;
+
+// Store an event for each recipient and return the payload to emit, tagged
+// with its eventId. Mongoose documents are serialized the same way they are
+// sent over the socket so replays match live events exactly.
+export const recordEvent = async (userIds, event, data) => {
+  const eventId = await Counter.next("userEvents");
+  const payload = data === undefined ? {} : JSON.parse(JSON.stringify(data));
+
+  await UserEvent.insertMany(
+    userIds.map((user) => ({ user, seq: eventId, event, data: payload }))
+  );
+
+  return { ...payload, eventId };
+};
+
+// Events a user missed after lastEventId, oldest first, in batches.
+// resetRequired means the client's position has expired from the log and it
+// has to refetch its conversations instead.
+export const getMissedEvents = async (userId, lastEventId) => {
+  const after = Number(lastEventId);
+  const user = new mongoose.Types.ObjectId(userId);
+
+  if (!Number.isInteger(after) || after < 0) {
+    const latest = await UserEvent.findOne({ user }, "seq").sort({ seq: -1 });
+    return { events: [], lastEventId: latest?.seq ?? 0, hasMore: false };
+  }
+
+  if (after > 0 && !(await UserEvent.exists({ user, seq: after }))) {
+    const latest = await UserEvent.findOne({ user }, "seq").sort({ seq: -1 });
+    return {
+      events: [],
+      lastEventId: latest?.seq ?? after,
+      hasMore: false,
+      resetRequired: true,
+    };
+  }
+
+  const events = await UserEvent.find({ user, seq: { $gt: after } })
+    .sort({ seq: 1 })
+    .limit(SYNC_BATCH_SIZE + 1);
+
+  const batch = events.slice(0, SYNC_BATCH_SIZE);
+  return {
+    events: batch.map(({ seq, event, data }) => ({ event, data: { ...data, eventId: seq } })),
+    lastEventId: batch.length ? batch[batch.length - 1].seq : after,
+    hasMore: events.length > SYNC_BATCH_SIZE,
+  };
+};
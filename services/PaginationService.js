@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+import Message from "../model/MessagesModel.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed < 1) return DEFAULT_LIMIT;
+  return Math.min(parsed, MAX_LIMIT);
+};
+
+// A cursor is either a message id or anything Date can parse
+const resolveCursor = async (cursor, filter) => {
+  if (mongoose.isValidObjectId(cursor)) {
+    const message = await Message.findOne(
+      { $and: [filter, { _id: cursor }] },
+      "_id timestamp"
+    );
+    return message ? { timestamp: message.timestamp, _id: message._id } : null;
+  }
+  const timestamp = new Date(cursor);
+  return Number.isNaN(timestamp.getTime()) ? null : { timestamp };
+};
+
+// Messages are ordered by timestamp, with _id breaking ties
+const olderThan = ({ timestamp, _id }) =>
+  _id
+    ? {
+        $or: [
+          { timestamp: { $lt: timestamp } },
+          { timestamp, _id: { $lt: _id } },
+        ],
+      }
+    : { timestamp: { $lt: timestamp } };
+
+const newerThan = ({ timestamp, _id }) =>
+  _id
+    ? {
+        $or: [
+          { timestamp: { $gt: timestamp } },
+          { timestamp, _id: { $gt: _id } },
+        ],
+      }
+    : { timestamp: { $gt: timestamp } };
+
+const findPage = (filter, range, direction, limit, populate) => {
+  let query = Message.find({ $and: [filter, range] })
+    .sort({ timestamp: direction, _id: direction })
+    .limit(limit);
+  if (populate) query = query.populate(populate);
+  return query;
+};
+
+const exists = async (filter, range) =>
+  Boolean(await Message.exists({ $and: [filter, range] }));
+
+// Fetch one page of a conversation, oldest first.
+// Options: before / after (message id or timestamp), around (message id) and limit.
+export const paginateMessages = async (filter, options = {}, populate = null) => {
+  const limit = parseLimit(options.limit);
+  const { before, after, around } = options;
+
+  if (around) {
+    const target = await resolveCursor(around, filter);
+    if (!target?._id) {
+      return { error: { status: 404, message: "Message not found" } };
+    }
+
+    const olderCount = Math.floor((limit - 1) / 2);
+    const newerCount = limit - 1 - olderCount;
+    const [older, current, newer] = await Promise.all([
+      findPage(filter, olderThan(target), -1, olderCount + 1, populate),
+      findPage(filter, { _id: target._id }, 1, 1, populate),
+      findPage(filter, newerThan(target), 1, newerCount + 1, populate),
+    ]);
+
+    return {
+      messages: [
+        ...older.slice(0, olderCount).reverse(),
+        ...current,
+        ...newer.slice(0, newerCount),
+      ],
+      hasOlder: older.length > olderCount,
+      hasNewer: newer.length > newerCount,
+    };
+  }
+
+  if (after) {
+    const cursor = await resolveCursor(after, filter);
+    if (!cursor) {
+      return { error: { status: 400, message: "Invalid cursor" } };
+    }
+
+    const page = await findPage(filter, newerThan(cursor), 1, limit + 1, populate);
+    const messages = page.slice(0, limit);
+    return {
+      messages,
+      hasOlder: messages.length
+        ? await exists(filter, olderThan(messages[0]))
+        : await exists(filter, olderThan(cursor)),
+      hasNewer: page.length > limit,
+    };
+  }
+
+  let cursor = null;
+  if (before) {
+    cursor = await resolveCursor(before, filter);
+    if (!cursor) {
+      return { error: { status: 400, message: "Invalid cursor" } };
+    }
+  }
+
+  // Without a cursor this is the most recent page of the conversation
+  const range = cursor ? olderThan(cursor) : {};
+  const page = await findPage(filter, range, -1, limit + 1, populate);
+  const messages = page.slice(0, limit).reverse();
+  let hasNewer = false;
+  if (messages.length) {
+    hasNewer = await exists(filter, newerThan(messages[messages.length - 1]));
+  } else if (cursor) {
+    hasNewer = await exists(filter, newerThan(cursor));
+  }
+  return { messages, hasOlder: page.length > limit, hasNewer };
+};
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import Message, { summarizeReactions } from "../model/MessagesModel.js";
+import { emitToUsers } from "../socket.js";
+import { getMessageAudience } from "./ConversationService.js";
+import { checkChannelAccess } from "./ChannelAccessService.js";
+
+const MAX_EMOJI_LENGTH = 32;
+
+// Each emoji is a key in the message document, so a message only collects
+// this many different ones
+const MAX_DISTINCT_REACTIONS = 20;
+
+// A single emoji: a pictograph, keycap or flag, optionally followed by
+// skin tone modifiers, variation selectors, tags and ZWJ-joined pictographs
+const EMOJI_PATTERN =
+  /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3)(?:\p{Emoji_Modifier}|\uFE0F|[\u{E0020}-\u{E007F}]|\u200D\p{Extended_Pictographic})*$/u;
+
+// Emoji are also used as map keys, which rules out anything else (such as
+// "." or a leading "$")
+const isValidEmoji = (emoji) =>
+  typeof emoji === "string" &&
+  emoji.length <= MAX_EMOJI_LENGTH &&
+  EMOJI_PATTERN.test(emoji);
+
+// Add or remove userId's reaction on a message and notify the conversation
+export const updateReaction = async (userId, { messageId, emoji }, add) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    return { error: { status: 400, message: "Valid message ID is required" } };
+  }
+  if (!isValidEmoji(emoji)) {
+    return { error: { status: 400, message: "Invalid emoji" } };
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message || message.deleted) {
+    return { error: { status: 404, message: "Message not found" } };
+  }
+
+  // Only users who can see the message can react to it
+  const audience = await getMessageAudience(message);
+  if (!audience.includes(userId)) {
+    return { error: { status: 403, message: "Not authorized to react to this message" } };
+  }
+
+  // In channels, reacting counts as posting, so archived channels and
+  // read-only members are refused
+  if (message.channel) {
+    const { error } = await checkChannelAccess(message.channel, userId, "post");
+    if (error) {
+      return { error };
+    }
+  }
+
+  const path = `reactions.${emoji}`;
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  // A new emoji is only added while the message is under the limit; the
+  // check is part of the update so concurrent reactions can't overshoot it
+  const filter = add
+    ? {
+        _id: messageId,
+        $or: [
+          { [path]: { $exists: true } },
+          {
+            $expr: {
+              $lt: [
+                { $size: { $objectToArray: { $ifNull: ["$reactions", {}] } } },
+                MAX_DISTINCT_REACTIONS,
+              ],
+            },
+          },
+        ],
+      }
+    : { _id: messageId };
+  let updated = await Message.findOneAndUpdate(
+    filter,
+    add ? { $addToSet: { [path]: userObjectId } } : { $pull: { [path]: userObjectId } },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: { status: 400, message: "This message has too many different reactions" } };
+  }
+
+  // Drop emoji nobody reacts with anymore
+  if (!add && updated.reactions.get(emoji)?.length === 0) {
+    updated = await Message.findOneAndUpdate(
+      { _id: messageId, [path]: { $size: 0 } },
+      { $unset: { [path]: "" } },
+      { new: true }
+    ) ?? updated;
+  }
+
+  const reactions = summarizeReactions(updated.reactions);
+  emitToUsers(audience, "reaction-updated", {
+    messageId: updated._id,
+    sender: updated.sender,
+    recipient: updated.recipient,
+    channelId: updated.channel,
+    userId,
+    emoji,
+    action: add ? "add" : "remove",
+    reactions,
+  });
+
+  return { messageId: updated._id, reactions };
+};
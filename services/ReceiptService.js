@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import Message from "../model/MessagesModel.js";
+import Channel from "../model/ChannelModel.js";
+import User from "../model/UserModel.js";
+import { emitToUsers } from "../socket.js";
+import { checkChannelAccess } from "./ChannelAccessService.js";
+
+// How far back to look for undelivered messages when a user has never been
+// seen going offline
+const PENDING_DELIVERY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+const RECEIPT_EVENTS = {
+  deliveredTo: { event: "messages-delivered", timeField: "deliveredAt" },
+  readBy: { event: "messages-read", timeField: "readAt" },
+};
+
+// Filter for messages a user has not read yet (their own messages never count)
+export const unreadFilter = (userId) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  return {
+    sender: { $ne: userObjectId },
+    "readBy.user": { $ne: userObjectId },
+    deleted: false,
+  };
+};
+
+// Add a delivered/read receipt for userId to every matching message and
+// notify each sender with the ids of their messages that were updated
+const addReceipts = async (field, userId, filter, channelId = null) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const query = {
+    $and: [
+      filter,
+      { sender: { $ne: userObjectId } },
+      { [`${field}.user`]: { $ne: userObjectId } },
+    ],
+  };
+
+  const messages = await Message.find(query, "_id sender");
+  if (messages.length === 0) {
+    return { messageIds: [], at: null };
+  }
+
+  const at = new Date();
+  const messageIds = messages.map((message) => message._id);
+  await Message.updateMany(
+    { _id: { $in: messageIds }, [`${field}.user`]: { $ne: userObjectId } },
+    { $push: { [field]: { user: userObjectId, at } } }
+  );
+
+  const bySender = new Map();
+  messages.forEach((message) => {
+    const senderId = message.sender.toString();
+    if (!bySender.has(senderId)) bySender.set(senderId, []);
+    bySender.get(senderId).push(message._id);
+  });
+
+  const { event, timeField } = RECEIPT_EVENTS[field];
+  bySender.forEach((ids, senderId) => {
+    emitToUsers([senderId], event, {
+      userId,
+      messageIds: ids,
+      [timeField]: at,
+      channelId,
+    });
+  });
+
+  return { messageIds, at };
+};
+
+// Mark everything sent to a user while they were offline as delivered.
+// Messages sent while they were online were delivered on creation, so only
+// those since they were last seen are swept; this keeps each connect on the
+// { recipient, timestamp } and { channel, timestamp } indexes instead of
+// scanning whole histories.
+export const markPendingDelivered = async (userId) => {
+  const user = await User.findById(userId, "lastSeen");
+  if (!user) return;
+  const since =
+    user.lastSeen ?? new Date(Date.now() - PENDING_DELIVERY_WINDOW);
+  const timestamp = { $gt: since };
+
+  await addReceipts("deliveredTo", userId, { recipient: userId, timestamp });
+
+  const channels = await Channel.find(
+    { $or: [{ admin: userId }, { members: userId }] },
+    "_id"
+  );
+  for (const channel of channels) {
+    await addReceipts(
+      "deliveredTo",
+      userId,
+      { channel: channel._id, timestamp },
+      channel._id
+    );
+  }
+};
+
+// Mark every message in the conversation up to and including messageId as read
+export const markMessagesRead = async (userId, { messageId }) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    return { error: { status: 400, message: "Valid message ID is required" } };
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    return { error: { status: 404, message: "Message not found" } };
+  }
+
+  const timestamp = { $lte: message.timestamp };
+  const channelId = message.channel;
+  let filter;
+
+  if (message.recipient) {
+    const participants = [
+      message.sender.toString(),
+      message.recipient.toString(),
+    ];
+    if (!participants.includes(userId)) {
+      return { error: { status: 403, message: "Not authorized to read this message" } };
+    }
+    const peer = participants.find((id) => id !== userId) ?? userId;
+    filter = { sender: peer, recipient: userId, timestamp };
+  } else {
+    const { error } = await checkChannelAccess(channelId, userId, "read");
+    if (error) {
+      return { error };
+    }
+    filter = { channel: channelId, timestamp };
+  }
+
+  // Reading a message implies it was delivered
+  await addReceipts("deliveredTo", userId, filter, channelId);
+  const { messageIds, at } = await addReceipts(
+    "readBy",
+    userId,
+    filter,
+    channelId
+  );
+
+  return { messageIds, readAt: at };
+};
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+import Message from "../model/MessagesModel.js";
+import Channel from "../model/ChannelModel.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words of the query, ignoring quotes and negations used by $text
+const getTerms = (query) =>
+  query
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"));
+
+// Cut a window of text around the first matching term and report where
+// every term occurs inside it so clients can highlight them
+export const buildHighlight = (field, text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const regex = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const first = regex.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const snippet = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+  const offset = start > 0 ? 1 - start : -start;
+
+  const ranges = [];
+  regex.lastIndex = start;
+  let match;
+  while ((match = regex.exec(text)) && match.index < end) {
+    ranges.push([match.index + offset, match.index + offset + match[0].length]);
+  }
+
+  return { field, snippet, ranges };
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Full-text search over the messages of every conversation the user belongs to.
+// Filters: from (sender id), channelId, userId (DM peer), startDate, endDate, hasFile
+export const searchMessages = async (userId, params) => {
+  const { query, from, channelId, userId: peerId, startDate, endDate, hasFile } = params;
+
+  if (typeof query !== "string" || !query.trim()) {
+    return { error: { status: 400, message: "Search query is required" } };
+  }
+  for (const id of [from, channelId, peerId]) {
+    if (id && !mongoose.isValidObjectId(id)) {
+      return { error: { status: 400, message: "Invalid id filter" } };
+    }
+  }
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (start === undefined || end === undefined) {
+    return { error: { status: 400, message: "Invalid date filter" } };
+  }
+
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit, 10) || DEFAULT_LIMIT));
+
+  const me = new mongoose.Types.ObjectId(userId);
+  const channels = await Channel.find(
+    { $or: [{ admin: me }, { members: me }] },
+    "_id"
+  );
+  const channelIds = channels.map((channel) => channel._id);
+
+  // Only conversations the caller belongs to
+  let scope = {
+    $or: [
+      { sender: me, recipient: { $ne: null } },
+      { recipient: me },
+      { channel: { $in: channelIds } },
+    ],
+  };
+  if (channelId) {
+    if (!channelIds.some((id) => id.toString() === channelId)) {
+      return { error: { status: 403, message: "Not a member of this channel" } };
+    }
+    scope = { channel: new mongoose.Types.ObjectId(channelId) };
+  } else if (peerId) {
+    const peer = new mongoose.Types.ObjectId(peerId);
+    scope = {
+      $or: [
+        { sender: me, recipient: peer },
+        { sender: peer, recipient: me },
+      ],
+    };
+  }
+
+  const filter = { $text: { $search: query }, deleted: false, ...scope };
+  if (from) filter.sender = new mongoose.Types.ObjectId(from);
+  if (start || end) {
+    filter.timestamp = {};
+    if (start) filter.timestamp.$gte = start;
+    if (end) filter.timestamp.$lte = end;
+  }
+  if (hasFile !== undefined) {
+    const wantsFile = hasFile === true || hasFile === "true";
+    filter.messageType = wantsFile ? "file" : { $ne: "file" };
+  }
+
+  const [messages, total] = await Promise.all([
+    Message.find(filter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("sender", "id email firstName lastName image color")
+      .populate("recipient", "id email firstName lastName image color")
+      .populate("channel", "name photo"),
+    Message.countDocuments(filter),
+  ]);
+
+  const terms = getTerms(query);
+  const results = messages.map((message) => ({
+    message,
+    highlight:
+      buildHighlight("content", message.content, terms) ??
+      buildHighlight("fileName", message.fileName, terms),
+  }));
+
+  return {
+    results,
+    page,
+    limit,
+    total,
+    hasMore: page * limit < total,
+  };
+};
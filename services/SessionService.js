@@ -0,0 +1,177 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../model/SessionModel.js";
+import { disconnectSessions } from "../socket.js";
+
+export const ACCESS_TOKEN_TTL = 15 * 60 * 1000;
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// A replaced refresh token seen this soon after rotation is most likely a
+// second tab refreshing at the same time rather than a stolen token
+const ROTATION_GRACE_PERIOD = 10 * 1000;
+
+// lastUsedAt is only written when it is older than this, not on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const invalidRefreshToken = {
+  error: { status: 401, message: "Invalid refresh token" },
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens start with the session id so they can be looked up directly
+const newRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+
+const parseSessionId = (refreshToken) => {
+  const [sessionId] = (refreshToken ?? "").split(".");
+  return mongoose.isValidObjectId(sessionId) ? sessionId : null;
+};
+
+const createAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { email: user.email, userId: user.id, sid: sessionId.toString() },
+    process.env.JWT_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL / 1000 }
+  );
+
+// Start a session for a user who just authenticated
+export const createSession = async (user, { device = null, ip = null } = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(_id);
+
+  await Session.create({
+    _id,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+  });
+
+  return { accessToken: createAccessToken(user, _id), refreshToken };
+};
+
+// Revoke every active session matching filter and disconnect their sockets
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find(
+    { ...filter, revokedAt: null, expiresAt: { $gt: new Date() } },
+    "_id"
+  );
+  if (sessions.length === 0) return 0;
+
+  const sessionIds = sessions.map((session) => session._id);
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date() }
+  );
+  disconnectSessions(sessionIds);
+  return sessionIds.length;
+};
+
+// Exchange a refresh token for a new access token and refresh token
+export const rotateSession = async (refreshToken, { ip = null } = {}) => {
+  const sessionId = parseSessionId(refreshToken);
+  if (!sessionId) return invalidRefreshToken;
+
+  const session = await Session.findById(sessionId).populate("user", "email");
+  if (!session?.isActive() || !session.user) {
+    return { error: { status: 401, message: "Session has expired" } };
+  }
+
+  const hash = hashToken(refreshToken);
+  if (hash !== session.refreshTokenHash) {
+    // An old token is being replayed, so someone else may hold this session
+    if (
+      hash === session.previousRefreshTokenHash &&
+      Date.now() - session.rotatedAt > ROTATION_GRACE_PERIOD
+    ) {
+      await revokeSessions({ _id: session._id });
+    }
+    return invalidRefreshToken;
+  }
+
+  const now = new Date();
+  const nextRefreshToken = newRefreshToken(session._id);
+  // Matching on the current hash lets only one of two concurrent refreshes win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: hash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ip,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL),
+    }
+  );
+  if (!rotated) return invalidRefreshToken;
+
+  return {
+    accessToken: createAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken,
+    userId: session.user.id,
+  };
+};
+
+// Whether the session behind an access token is still active
+export const checkSession = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await Session.findOne(
+    { _id: sessionId, user: userId },
+    "revokedAt expiresAt lastUsedAt"
+  );
+  if (!session?.isActive()) return false;
+
+  if (Date.now() - session.lastUsedAt > LAST_USED_RESOLUTION) {
+    await Session.updateOne({ _id: sessionId }, { lastUsedAt: new Date() });
+  }
+  return true;
+};
+
+// End the session a client is logging out of, identified by its refresh
+// token or, failing that, by its (possibly expired) access token
+export const endSession = async ({ refreshToken, accessToken }) => {
+  const sessionId = parseSessionId(refreshToken);
+  if (sessionId) {
+    const session = await Session.findById(sessionId, "refreshTokenHash");
+    if (session?.refreshTokenHash === hashToken(refreshToken)) {
+      await revokeSessions({ _id: sessionId });
+      return;
+    }
+  }
+
+  if (!accessToken) return;
+  try {
+    const payload = jwt.verify(accessToken, process.env.JWT_KEY, {
+      ignoreExpiration: true,
+    });
+    if (mongoose.isValidObjectId(payload.sid)) {
+      await revokeSessions({ _id: payload.sid, user: payload.userId });
+    }
+  } catch {
+    // Nothing to revoke for a forged token
+  }
+};
+
+// Active sessions of a user, most recently used first
+export const getActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+export const revokeSession = (userId, sessionId) =>
+  revokeSessions({ _id: sessionId, user: userId });
+
+// Revoke all of a user's sessions except keepSessionId (pass null for all)
+export const revokeOtherSessions = (userId, keepSessionId) =>
+  revokeSessions(
+    keepSessionId
+      ? { user: userId, _id: { $ne: keepSessionId } }
+      : { user: userId }
+  );
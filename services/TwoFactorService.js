@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import { compare } from "bcrypt";
+import User from "../model/UserModel.js";
+import {
+  consumeUserToken,
+  issueUserToken,
+  recordUserTokenAttempt,
+} from "./UserTokenService.js";
+import { generateSecret, otpauthUri, verifyCode } from "../utils/Totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastCounter";
+
+const invalidCode = { error: { status: 400, message: "Invalid code" } };
+
+const invalidPassword = { error: { status: 400, message: "Invalid Password" } };
+
+// Changing two-factor settings needs the password, so a hijacked session
+// alone can't enroll its own authenticator
+const checkPassword = async (user, password) =>
+  Boolean(password) && compare(password, user.password);
+
+const invalidChallenge = {
+  error: { status: 401, message: "Login challenge is invalid or has expired" },
+};
+
+// Recovery codes are matched case-insensitively, with or without the dash
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ""))
+    .digest("hex");
+
+// Codes like "3f9a2-c81d0", shown to the user once and stored hashed
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+const findUser = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+// Check a TOTP code or a recovery code and spend it, so neither can be used
+// twice. Both are claimed atomically to hold up under concurrent requests.
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code) {
+    const counter = verifyCode(user.twoFactorSecret, code);
+    if (counter === null) return false;
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastCounter: null },
+          { twoFactorLastCounter: { $lt: counter } },
+        ],
+      },
+      { twoFactorLastCounter: counter }
+    );
+    return modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// Generate a secret for the user to add to their authenticator app. It only
+// takes effect once confirmed with a code from the app.
+export const beginEnrollment = async (userId, password) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return { error: { status: 404, message: "User not found" } };
+  }
+  if (user.twoFactorEnabled) {
+    return { error: { status: 400, message: "Two-factor authentication is already enabled" } };
+  }
+  if (!(await checkPassword(user, password))) return invalidPassword;
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: secret });
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({
+      secret,
+      account: user.email,
+      issuer: process.env.TOTP_ISSUER ?? "Chat",
+    }),
+  };
+};
+
+// Turn on two-factor authentication with a first code from the app and
+// return the recovery codes
+export const confirmEnrollment = async (userId, { password, code }) => {
+  const user = await findUser(userId);
+  if (!user) {
+    return { error: { status: 404, message: "User not found" } };
+  }
+  if (user.twoFactorEnabled) {
+    return { error: { status: 400, message: "Two-factor authentication is already enabled" } };
+  }
+  if (!user.twoFactorPendingSecret) {
+    return { error: { status: 400, message: "Start enrollment first" } };
+  }
+  if (!(await checkPassword(user, password))) return invalidPassword;
+
+  const counter = verifyCode(user.twoFactorPendingSecret, code);
+  if (counter === null) return invalidCode;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      twoFactorLastCounter: counter,
+    }
+  );
+
+  return { recoveryCodes };
+};
+
+// Replace all recovery codes, e.g. after using some of them
+export const regenerateRecoveryCodes = async (userId, factor) => {
+  const user = await findUser(userId);
+  if (!user?.twoFactorEnabled) {
+    return { error: { status: 400, message: "Two-factor authentication is not enabled" } };
+  }
+  if (!(await verifySecondFactor(user, factor))) return invalidCode;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+  );
+
+  return { recoveryCodes };
+};
+
+// Turn off two-factor authentication; needs the password and a second factor
+export const disableTwoFactor = async (userId, { password, ...factor }) => {
+  const user = await findUser(userId);
+  if (!user?.twoFactorEnabled) {
+    return { error: { status: 400, message: "Two-factor authentication is not enabled" } };
+  }
+  if (!(await checkPassword(user, password))) return invalidPassword;
+  if (!(await verifySecondFactor(user, factor))) return invalidCode;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      twoFactorEnabled: false,
+      twoFactorEnabledAt: null,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastCounter: null,
+    }
+  );
+
+  return {};
+};
+
+// Issued after a correct password; login finishes with completeLoginChallenge
+export const createLoginChallenge = (user) =>
+  issueUserToken(user._id, "two-factor-challenge", LOGIN_CHALLENGE_TTL);
+
+// Finish a login with a TOTP or recovery code. A challenge allows
+// MAX_CHALLENGE_ATTEMPTS tries before the user has to log in again.
+export const completeLoginChallenge = async (challenge, factor) => {
+  const pending = await recordUserTokenAttempt(
+    challenge,
+    "two-factor-challenge",
+    MAX_CHALLENGE_ATTEMPTS
+  );
+  if (!pending) return invalidChallenge;
+
+  const user = await findUser(pending.user);
+  if (!user?.twoFactorEnabled) return invalidChallenge;
+  if (!(await verifySecondFactor(user, factor))) return invalidCode;
+
+  // Only one request can finish the login with a given challenge
+  if (!(await consumeUserToken(challenge, "two-factor-challenge"))) {
+    return invalidChallenge;
+  }
+  return { user };
+};
@@ -0,0 +1,49 @@
+import crypto from "crypto";
+import UserToken from "../model/UserTokenModel.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const usableTokenFilter = (token, type) => ({
+  tokenHash: hashToken(token),
+  type,
+  usedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Issue a token of the given type, replacing any the user has not used yet.
+// Returns the raw token, which is only ever sent to the user.
+export const issueUserToken = async (userId, type, ttl) => {
+  await UserToken.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl),
+  });
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or
+// already used. Claiming it atomically keeps it single-use under races.
+export const consumeUserToken = (token, type) => {
+  if (typeof token !== "string" || !token) return null;
+  return UserToken.findOneAndUpdate(
+    usableTokenFilter(token, type),
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Count an attempt to use a token without consuming it. Returns the token,
+// or null once it is unusable or maxAttempts have been made.
+export const recordUserTokenAttempt = (token, type, maxAttempts) => {
+  if (typeof token !== "string" || !token) return null;
+  return UserToken.findOneAndUpdate(
+    { ...usableTokenFilter(token, type), attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
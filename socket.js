@@ -1,117 +1,721 @@
 import { Server as SocketIOServer } from "socket.io";
+import mongoose from "mongoose";
 import Message from "./model/MessagesModel.js";
 import Channel from "./model/ChannelModel.js";
+import User from "./model/UserModel.js";
+import { verifySocketToken } from "./middlewares/AuthMiddleware.js";
+import { createPubSubAdapter } from "./adapters/PubSubAdapter.js";
+import {
+  markMessagesRead,
+  markPendingDelivered,
+} from "./services/ReceiptService.js";
+import { updateReaction } from "./services/ReactionService.js";
+import { checkChannelAccess } from "./services/ChannelAccessService.js";
+import { checkVerified } from "./services/EmailVerificationService.js";
+import { getMissedEvents, recordEvent } from "./services/EventLogService.js";
+import {
+  getChannelMemberIds,
+  getMessageAudience,
+  getThreadParticipants,
+  resolveReferences,
+  REPLY_TO_FIELDS,
+} from "./services/ConversationService.js";
+
+const PRESENCE_STATUSES = ["online", "away"];
+
+// Typing indicators expire if the client never sends "typing-stop"
+const TYPING_TIMEOUT = 6000;
+
+// Presence of this instance's sockets is re-published this often so other
+// instances keep seeing them (see PRESENCE_TTL in the Redis adapter)
+const PRESENCE_REFRESH_INTERVAL = 30 * 1000;
+
+// Emits are published here and every instance delivers them to its own sockets
+const EMIT_CHANNEL = "socket:emit";
+
+// Revoked sessions are published here so every instance drops their sockets
+const DISCONNECT_CHANNEL = "socket:disconnect";
+
+// userId -> Map of socket id -> presence status, for sockets on this instance.
+// Presence across all instances is read from the pub/sub adapter.
+const userSocketMap = new Map();
+
+let io = null;
+let pubsub = null;
+
+// Every socket joins a per-user room so all devices receive user events
+const userRoom = (userId) => `user:${userId}`;
+
+// Sockets replaying missed events sit in this room and get live logged
+// events only once the replay is done
+const SYNCING_ROOM = "syncing";
+const MAX_SYNC_BUFFER = 1000;
+
+// ...and a per-session room so revoking a login reaches just its sockets
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Events that only matter live; everything else is logged so clients can
+// catch up on reconnect
+const EPHEMERAL_EVENTS = ["typing-start", "typing-stop", "presence-update"];
+
+// Logged events for a user are recorded and emitted one at a time so their
+// event ids reach the user in increasing order. Each user has their own
+// queue, so one user's writes never hold up events for anyone else.
+// userId -> promise for the last event queued for them
+const eventQueues = new Map();
+
+// Run task once every earlier event for all of userIds has been emitted
+const enqueueForUsers = (userIds, task) => {
+  const previous = Promise.all(userIds.map((id) => eventQueues.get(id)));
+  const current = previous.then(task);
+  // A failed event must not stop the ones queued after it
+  const settled = current.catch(() => {});
+  userIds.forEach((id) => eventQueues.set(id, settled));
+  // Forget idle queues so the map only holds users with events in flight
+  settled.then(() =>
+    userIds.forEach((id) => {
+      if (eventQueues.get(id) === settled) eventQueues.delete(id);
+    })
+  );
+  return current;
+};
+
+// Hand an emit to every instance, including this one
+const publishEmit = (rooms, event, data) =>
+  pubsub.publish(EMIT_CHANNEL, { rooms, event, data });
+
+// Emit an event to every connected device of the given users
+export const emitToUsers = (userIds, event, data) => {
+  if (!pubsub) return;
+  const ids = [...new Set(userIds.filter(Boolean).map((id) => id.toString()))];
+  if (ids.length === 0) return;
+  const rooms = ids.map(userRoom);
+
+  if (EPHEMERAL_EVENTS.includes(event)) {
+    publishEmit(rooms, event, data).catch((error) =>
+      console.error(`Error publishing ${event}:`, error)
+    );
+    return;
+  }
+
+  return enqueueForUsers(ids, async () => {
+    let payload = data;
+    try {
+      payload = await recordEvent(ids, event, data);
+    } catch (error) {
+      console.error(`Error recording ${event}:`, error);
+    }
+    await publishEmit(rooms, event, payload);
+  }).catch((error) => console.error(`Error publishing ${event}:`, error));
+};
+
+// Tell the sockets of revoked sessions why, then disconnect them on every instance
+export const disconnectSessions = (sessionIds) => {
+  if (!pubsub || sessionIds.length === 0) return;
+  pubsub
+    .publish(DISCONNECT_CHANNEL, {
+      rooms: sessionIds.map((id) => sessionRoom(id.toString())),
+    })
+    .catch((error) => console.error("Error publishing disconnect:", error));
+};
+
+// A user is online if any device is active, away if all of them are idle
+const statusFromSockets = (statuses = []) => {
+  if (statuses.length === 0) return "offline";
+  return statuses.includes("online") ? "online" : "away";
+};
+
+// Status of each user across all instances, as a Map of userId -> status
+export const getUserStatuses = async (userIds) => {
+  const ids = userIds.map((id) => id.toString());
+  const sockets = pubsub ? await pubsub.getSocketStatuses(ids) : new Map();
+  return new Map(ids.map((id) => [id, statusFromSockets(sockets.get(id))]));
+};
+
+export const getUserStatus = async (userId) =>
+  (await getUserStatuses([userId])).get(userId.toString());
+
+// Users who should see someone's presence: DM contacts and channel co-members
+export const getPresenceAudience = async (userId) => {
+  const [recipients, senders, channels] = await Promise.all([
+    Message.distinct("recipient", { sender: userId }),
+    Message.distinct("sender", { recipient: userId }),
+    Channel.find(
+      { $or: [{ admin: userId }, { members: userId }] },
+      "members admin"
+    ),
+  ]);
+
+  const audience = new Set(
+    [...recipients, ...senders].filter(Boolean).map((id) => id.toString())
+  );
+  channels.forEach((channel) => {
+    [...channel.members, channel.admin].forEach((id) =>
+      audience.add(id.toString())
+    );
+  });
+  audience.delete(userId.toString());
+  return [...audience];
+};
 
 const setupSocket = (server) => {
-  const io = new SocketIOServer(server, {
+  io = new SocketIOServer(server, {
     cors: {
       origin: process.env.ORIGIN,
       methods: ["GET", "POST"],
       credentials: true,
     },
   });
+  pubsub = createPubSubAdapter();
 
-  const userSocketMap = new Map();
+  // socket id -> { events, overflowed }: logged events held back while that
+  // socket replays the ones it missed, so live events never overtake or
+  // duplicate replayed ones
+  const syncBuffers = new Map();
 
-  const addChannelNotify = async (channel) => {
-    if (channel && channel.members) {
-      channel.members.forEach((member) => {
-        const memberSocketId = userSocketMap.get(member.toString());
-        if (memberSocketId) {
-          io.to(memberSocketId).emit("new-channel-added", channel);
+  // Deliver emits published by any instance to the sockets connected here
+  pubsub
+    .subscribe(EMIT_CHANNEL, ({ rooms, event, data }) => {
+      if (data?.eventId === undefined) {
+        io.to(rooms).emit(event, data);
+        return;
+      }
+      io.to(rooms).except(SYNCING_ROOM).emit(event, data);
+      syncBuffers.forEach((buffer, socketId) => {
+        const socket = io.sockets.sockets.get(socketId);
+        if (!socket || !rooms.includes(userRoom(socket.userId))) return;
+        // Past the limit stop holding events; they are all in the log and the
+        // socket is told to sync again instead (see syncEvents)
+        if (buffer.overflowed) return;
+        if (buffer.events.length >= MAX_SYNC_BUFFER) {
+          buffer.events = [];
+          buffer.overflowed = true;
+          return;
         }
+        buffer.events.push({ event, data });
+      });
+    })
+    .catch((error) => console.error("Error subscribing to emits:", error));
+
+  pubsub
+    .subscribe(DISCONNECT_CHANNEL, ({ rooms }) => {
+      io.to(rooms).emit("session-revoked");
+      io.in(rooms).disconnectSockets(true);
+    })
+    .catch((error) => console.error("Error subscribing to disconnects:", error));
+
+  // Keep this instance's sockets from expiring in the shared presence store
+  setInterval(() => {
+    userSocketMap.forEach((sockets, userId) =>
+      sockets.forEach((status, socketId) =>
+        pubsub
+          .setSocketStatus(userId, socketId, status)
+          .catch((error) => console.error("Error refreshing presence:", error))
+      )
+    );
+  }, PRESENCE_REFRESH_INTERVAL).unref();
+
+  // Reject connections without a valid jwt cookie (client gets "connect_error")
+  io.use(verifySocketToken);
+
+  // Update the thread root's counters and notify followers of a new reply
+  const publishThreadReply = async (root, replyData) => {
+    const updatedRoot = await Message.findByIdAndUpdate(
+      root._id,
+      { $inc: { replyCount: 1 }, $set: { lastReplyAt: replyData.timestamp } },
+      { new: true }
+    );
+
+    const [participants, audience] = await Promise.all([
+      getThreadParticipants(updatedRoot),
+      getMessageAudience(updatedRoot),
+    ]);
+
+    // In a DM both participants always follow the thread. In a channel only
+    // participants who are still members do.
+    const followers = updatedRoot.channel
+      ? participants.filter((id) => audience.includes(id))
+      : [...participants, ...audience];
+    emitToUsers(followers, "thread-reply", replyData);
+
+    emitToUsers(audience, "thread-updated", {
+      messageId: updatedRoot._id,
+      replyCount: updatedRoot.replyCount,
+      lastReplyAt: updatedRoot.lastReplyAt,
+      sender: updatedRoot.sender,
+      recipient: updatedRoot.recipient,
+      channelId: updatedRoot.channel,
+    });
+  };
+
+  // Reply to a client's ack callback, if it passed one
+  const respond = (ack, result) => {
+    if (typeof ack === "function") ack(result);
+  };
+
+  // Turn a failed send into a structured error for the client
+  const sendError = (error) => {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return { error: { status: 400, message: error.message } };
+    }
+    return { error: { status: 500, message: "Internal Server Error" } };
+  };
+
+  const reusedClientMessageId = {
+    error: {
+      status: 409,
+      message: "clientMessageId was already used in another conversation",
+    },
+  };
+
+  // A retry has to target the conversation of the original message
+  const asDuplicate = (existing, { recipient, channel }) =>
+    String(existing.recipient ?? null) === String(recipient ?? null) &&
+    String(existing.channel ?? null) === String(channel ?? null)
+      ? { created: existing, duplicate: true }
+      : reusedClientMessageId;
+
+  // Create a message unless the sender already sent one with the same
+  // client-generated id, in which case the original is returned
+  const createMessageOnce = async (fields) => {
+    const { sender, clientMessageId } = fields;
+    if (clientMessageId) {
+      const existing = await Message.findOne({ sender, clientMessageId });
+      if (existing) return asDuplicate(existing, fields);
+    }
+    try {
+      return { created: await Message.create(fields), duplicate: false };
+    } catch (error) {
+      // A concurrent retry won the race for the unique index
+      if (error.code === 11000 && clientMessageId) {
+        const existing = await Message.findOne({ sender, clientMessageId });
+        return asDuplicate(existing, fields);
+      }
+      throw error;
+    }
+  };
+
+  const isValidClientMessageId = (clientMessageId) =>
+    clientMessageId === undefined ||
+    clientMessageId === null ||
+    (typeof clientMessageId === "string" &&
+      clientMessageId.length > 0 &&
+      clientMessageId.length <= 64);
+
+  const sendMessage = async (socket, message, ack) => {
+    try {
+      // The sender is always the authenticated user, never the client payload
+      const sender = socket.userId;
+      const { recipient, content, messageType, audioUrl, fileUrl, clientMessageId } =
+        message ?? {};
+
+      if (!mongoose.isValidObjectId(recipient)) {
+        return respond(ack, { error: { status: 400, message: "Valid recipient is required" } });
+      }
+      if (!isValidClientMessageId(clientMessageId)) {
+        return respond(ack, { error: { status: 400, message: "Invalid clientMessageId" } });
+      }
+
+      const { error } = await checkVerified(sender, "sendMessage");
+      if (error) {
+        return respond(ack, { error });
+      }
+
+      const { replyTo, threadRoot } = await resolveReferences(
+        { sender, recipient },
+        message
+      );
+
+      // Create the message, already delivered if the recipient is connected
+      const recipientStatus = await getUserStatus(recipient);
+      const deliveredTo =
+        recipientStatus !== "offline" ? [{ user: recipient }] : [];
+      const { created, duplicate, error: sendConflict } = await createMessageOnce({
+        sender,
+        recipient,
+        content,
+        messageType,
+        audioUrl,
+        fileUrl,
+        replyTo,
+        thread: threadRoot?._id ?? null,
+        clientMessageId: clientMessageId ?? null,
+        deliveredTo,
+      });
+
+      if (sendConflict) {
+        return respond(ack, { error: sendConflict });
+      }
+
+      // Find the created message by its ID and populate sender and recipient details
+      const messageData = await Message.findById(created._id)
+        .populate("sender", "id email firstName lastName image color")
+        .populate("recipient", "id email firstName lastName image color")
+        .populate("replyTo", REPLY_TO_FIELDS)
+        .exec();
+
+      // A retried send only gets the original back; it was already delivered
+      if (duplicate) {
+        return respond(ack, { message: messageData, duplicate: true });
+      }
+
+      stopTyping(socket, `dm:${recipient}`);
+
+      // Thread replies go to the thread, not the main conversation
+      if (threadRoot) {
+        await publishThreadReply(threadRoot, messageData.toObject());
+      } else {
+        // Also send the message back to all of the sender's devices
+        emitToUsers([recipient, sender], "receiveMessage", messageData);
+      }
+
+      respond(ack, { message: messageData });
+    } catch (error) {
+      console.error("Error sending message:", error);
+      respond(ack, sendError(error));
+    }
+  };
+
+  const sendChannelMessage = async (socket, message, ack) => {
+    try {
+      const { channelId, content, messageType, fileUrl, clientMessageId } =
+        message ?? {};
+      const sender = socket.userId;
+
+      const verification = await checkVerified(sender, "sendMessage");
+      if (verification.error) {
+        return respond(ack, verification);
+      }
+
+      // Only members allowed to post may send to the channel
+      const { error } = await checkChannelAccess(channelId, sender, "post");
+      if (error) {
+        return respond(ack, { error });
+      }
+      if (!isValidClientMessageId(clientMessageId)) {
+        return respond(ack, { error: { status: 400, message: "Invalid clientMessageId" } });
+      }
+
+      // Fetch all members of the channel
+      const memberIds = await getChannelMemberIds(channelId);
+      const { replyTo, threadRoot } = await resolveReferences(
+        { channel: channelId },
+        message
+      );
+
+      // Create and save the message, delivered to every connected member
+      const statuses = await getUserStatuses(memberIds);
+      const { created, duplicate, error: sendConflict } = await createMessageOnce({
+        sender,
+        recipient: null, // Channel messages don't have a single recipient
+        channel: channelId,
+        content,
+        messageType,
+        timestamp: new Date(),
+        fileUrl,
+        replyTo,
+        thread: threadRoot?._id ?? null,
+        clientMessageId: clientMessageId ?? null,
+        deliveredTo: memberIds
+          .filter((id) => id !== sender && statuses.get(id) !== "offline")
+          .map((id) => ({ user: id })),
       });
+
+      if (sendConflict) {
+        return respond(ack, { error: sendConflict });
+      }
+
+      const messageData = await Message.findById(created._id)
+        .populate("sender", "id email firstName lastName image color")
+        .populate("replyTo", REPLY_TO_FIELDS)
+        .exec();
+
+      const finalData = { ...messageData.toObject(), channelId };
+
+      // A retried send only gets the original back; it was already delivered
+      if (duplicate) {
+        return respond(ack, { message: finalData, duplicate: true });
+      }
+
+      // Bump the channel so it sorts as recently active
+      await Channel.findByIdAndUpdate(channelId, { updatedAt: Date.now() });
+
+      stopTyping(socket, `channel:${channelId}`);
+
+      // Thread replies go to the thread, not the main conversation
+      if (threadRoot) {
+        await publishThreadReply(threadRoot, finalData);
+      } else {
+        emitToUsers(memberIds, "recieve-channel-message", finalData);
+      }
+
+      respond(ack, { message: finalData });
+    } catch (error) {
+      console.error("Error sending channel message:", error);
+      respond(ack, sendError(error));
+    }
+  };
+
+  // socket id -> Map of conversation key -> { timer, userIds, payload }
+  const typingState = new Map();
+
+  const getTypingTarget = async (socket, data) => {
+    const { recipient, channelId } = data ?? {};
+    const { userId } = socket;
+    if (channelId) {
+      const { error } = await checkChannelAccess(channelId, userId, "post");
+      if (error) return null;
+      const memberIds = await getChannelMemberIds(channelId);
+      return {
+        key: `channel:${channelId}`,
+        userIds: memberIds.filter((id) => id !== userId),
+        payload: { userId, channelId },
+      };
+    }
+    if (mongoose.isValidObjectId(recipient)) {
+      return {
+        key: `dm:${recipient}`,
+        userIds: [recipient],
+        payload: { userId, recipient },
+      };
     }
+    return null;
   };
 
-  const sendMessage = async (message) => {
-    const recipientSocketId = userSocketMap.get(message.recipient);
-    const senderSocketId = userSocketMap.get(message.sender);
+  const stopTyping = (socket, key) => {
+    const typing = typingState.get(socket.id);
+    const entry = typing?.get(key);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    typing.delete(key);
+    emitToUsers(entry.userIds, "typing-stop", entry.payload);
+  };
 
-    // Create the message
-    const createdMessage = await Message.create(message);
+  const typingStart = async (socket, data) => {
+    try {
+      const target = await getTypingTarget(socket, data);
+      if (!target) return;
 
-    // Find the created message by its ID and populate sender and recipient details
-    const messageData = await Message.findById(createdMessage._id)
-      .populate("sender", "id email firstName lastName image color")
-      .populate("recipient", "id email firstName lastName image color")
-      .exec();
+      if (!typingState.has(socket.id)) {
+        typingState.set(socket.id, new Map());
+      }
+      const typing = typingState.get(socket.id);
+      const existing = typing.get(target.key);
 
-    if (recipientSocketId) {
-      io.to(recipientSocketId).emit("receiveMessage", messageData);
+      // Repeated starts only push the expiry back
+      if (existing) {
+        clearTimeout(existing.timer);
+      } else {
+        emitToUsers(target.userIds, "typing-start", target.payload);
+      }
+      typing.set(target.key, {
+        ...target,
+        timer: setTimeout(() => stopTyping(socket, target.key), TYPING_TIMEOUT),
+      });
+    } catch (error) {
+      console.error("Error handling typing-start:", error);
     }
+  };
+
+  const typingStop = (socket, data) => {
+    const { recipient, channelId } = data ?? {};
+    const key = channelId ? `channel:${channelId}` : `dm:${recipient}`;
+    stopTyping(socket, key);
+  };
 
-    // Optionally, send the message back to the sender (e.g., for message confirmation)
-    if (senderSocketId) {
-      io.to(senderSocketId).emit("receiveMessage", messageData);
+  // Run a service call for the socket's user and pass its result to the ack
+  const withAck = (event, handler) => async (socket, data, ack) => {
+    try {
+      const result = await handler(socket.userId, data ?? {});
+      if (typeof ack === "function") ack(result);
+    } catch (error) {
+      console.error(`Error handling ${event}:`, error);
+      if (typeof ack === "function") {
+        ack({ error: { status: 500, message: "Internal Server Error" } });
+      }
     }
   };
 
-  const sendChannelMessage = async (message) => {
-    const { channelId, sender, content, messageType, fileUrl } = message;
+  const markRead = withAck("mark-read", markMessagesRead);
 
-    // Create and save the message
-    const createdMessage = await Message.create({
-      sender,
-      recipient: null, // Channel messages don't have a single recipient
-      content,
-      messageType,
-      timestamp: new Date(),
-      fileUrl,
-    });
+  const addReaction = withAck("add-reaction", (userId, data) =>
+    updateReaction(userId, data, true)
+  );
 
-    const messageData = await Message.findById(createdMessage._id)
-      .populate("sender", "id email firstName lastName image color")
-      .exec();
+  const removeReaction = withAck("remove-reaction", (userId, data) =>
+    updateReaction(userId, data, false)
+  );
 
-    // Add message to the channel
-    await Channel.findByIdAndUpdate(channelId, {
-      $push: { messages: createdMessage._id },
-    });
+  // Stop holding back live events and send the ones newer than the replay
+  const finishSync = (socket, lastEventId) => {
+    const { events = [] } = syncBuffers.get(socket.id) ?? {};
+    syncBuffers.delete(socket.id);
+    socket.leave(SYNCING_ROOM);
+    events
+      .filter(({ data }) => lastEventId === undefined || data.eventId > lastEventId)
+      .forEach(({ event, data }) => socket.emit(event, data));
+  };
 
-    // Fetch all members of the channel
-    const channel = await Channel.findById(channelId).populate("members");
+  // Replay logged events the socket missed since lastEventId, then report the
+  // position to resume from. Clients call "sync" again while hasMore is true;
+  // live events are held back until then so everything arrives in order.
+  const syncEvents = async (socket, data, ack) => {
+    const { lastEventId } = data ?? {};
+    // Start holding back before querying so nothing slips in between
+    if (!syncBuffers.has(socket.id)) {
+      syncBuffers.set(socket.id, { events: [], overflowed: false });
+      socket.join(SYNCING_ROOM);
+    }
+    try {
+      const { events, ...status } = await getMissedEvents(socket.userId, lastEventId);
+      events.forEach(({ event, data }) => socket.emit(event, data));
 
-    const finalData = { ...messageData._doc, channelId: channel._id };
-    if (channel && channel.members) {
-      channel.members.forEach((member) => {
-        const memberSocketId = userSocketMap.get(member._id.toString());
-        if (memberSocketId) {
-          io.to(memberSocketId).emit("recieve-channel-message", finalData);
-        }
+      // Events were dropped while replaying, so the client has to fetch more
+      // from the log even though this batch reached its end
+      const buffer = syncBuffers.get(socket.id);
+      if (buffer?.overflowed) status.hasMore = true;
+
+      socket.emit("sync-complete", status);
+      if (status.hasMore) {
+        // Anything held back so far is in the log and comes with the next batch
+        if (buffer) syncBuffers.set(socket.id, { events: [], overflowed: false });
+      } else {
+        finishSync(socket, status.lastEventId);
+      }
+      if (typeof ack === "function") ack(status);
+    } catch (error) {
+      console.error("Error syncing events:", error);
+      // After an overflow the held events have gaps; the client syncs again
+      if (syncBuffers.get(socket.id)?.overflowed) {
+        syncBuffers.set(socket.id, { events: [], overflowed: false });
+      } else {
+        finishSync(socket);
+      }
+      if (typeof ack === "function") {
+        ack({ error: { status: 500, message: "Internal Server Error" } });
+      }
+    }
+  };
+
+  const broadcastPresence = async (userId, lastSeen = null) => {
+    try {
+      const audience = await getPresenceAudience(userId);
+      emitToUsers(audience, "presence-update", {
+        userId,
+        status: await getUserStatus(userId),
+        lastSeen,
       });
-      const adminSocketId = userSocketMap.get(channel.admin._id.toString());
-      if (adminSocketId) {
-        io.to(adminSocketId).emit("recieve-channel-message", finalData);
+    } catch (error) {
+      console.error("Error broadcasting presence:", error);
+    }
+  };
+
+  // Update one device's status and notify contacts if the user's status changed
+  const setSocketStatus = async (socket, status) => {
+    const { userId } = socket;
+    try {
+      const previousStatus = await getUserStatus(userId);
+
+      if (!userSocketMap.has(userId)) {
+        userSocketMap.set(userId, new Map());
+      }
+      userSocketMap.get(userId).set(socket.id, status);
+      await pubsub.setSocketStatus(userId, socket.id, status);
+
+      if ((await getUserStatus(userId)) !== previousStatus) {
+        broadcastPresence(userId);
       }
+    } catch (error) {
+      console.error("Error updating presence:", error);
     }
   };
 
-  const disconnect = (socket) => {
+  const setPresence = (socket, data) => {
+    const { status } = data ?? {};
+    if (!PRESENCE_STATUSES.includes(status)) return;
+    setSocketStatus(socket, status);
+  };
+
+  const disconnect = async (socket) => {
     console.log("Client disconnected", socket.id);
-    for (const [userId, socketId] of userSocketMap.entries()) {
-      if (socketId === socket.id) {
-        userSocketMap.delete(userId);
-        break;
+    syncBuffers.delete(socket.id);
+    const typing = typingState.get(socket.id);
+    if (typing) {
+      [...typing.keys()].forEach((key) => stopTyping(socket, key));
+      typingState.delete(socket.id);
+    }
+
+    const { userId } = socket;
+    const sockets = userSocketMap.get(userId);
+    if (!sockets) return;
+    sockets.delete(socket.id);
+    if (sockets.size === 0) userSocketMap.delete(userId);
+
+    try {
+      const previousStatus = await getUserStatus(userId);
+      await pubsub.setSocketStatus(userId, socket.id, null);
+      const status = await getUserStatus(userId);
+
+      // The user only goes offline once their last device on any instance
+      // disconnects
+      if (status === "offline") {
+        console.log(`User offline: ${userId}`);
+        const lastSeen = new Date();
+        try {
+          await User.findByIdAndUpdate(userId, { lastSeen });
+        } catch (error) {
+          console.error("Error updating last seen:", error);
+        }
+        broadcastPresence(userId, lastSeen);
+      } else if (status !== previousStatus) {
+        broadcastPresence(userId);
       }
+    } catch (error) {
+      console.error("Error updating presence:", error);
     }
   };
 
   io.on("connection", (socket) => {
-    const userId = socket.handshake.query.userId;
+    // Set by verifySocketToken from the verified jwt payload
+    const { userId, sessionId } = socket;
 
-    if (userId) {
-      userSocketMap.set(userId, socket.id);
-      console.log(`User connected: ${userId} with socket ID: ${socket.id}`);
-    } else {
-      console.log("User ID not provided during connection.");
-    }
+    socket.join([userRoom(userId), sessionRoom(sessionId)]);
+    setSocketStatus(socket, "online");
+    console.log(`User connected: ${userId} with socket ID: ${socket.id}`);
+
+    markPendingDelivered(userId).catch((error) =>
+      console.error("Error marking messages delivered:", error)
+    );
+
+    // Clients pass the last eventId they saw to catch up on what they missed
+    syncEvents(socket, {
+      lastEventId:
+        socket.handshake.auth?.lastEventId ?? socket.handshake.query.lastEventId,
+    });
+
+    socket.on("sendMessage", (message, ack) =>
+      sendMessage(socket, message, ack)
+    );
+
+    socket.on("send-channel-message", (message, ack) =>
+      sendChannelMessage(socket, message, ack)
+    );
+
+    socket.on("sync", (data, ack) => syncEvents(socket, data, ack));
+
+    socket.on("mark-read", (data, ack) => markRead(socket, data, ack));
+
+    socket.on("add-reaction", (data, ack) => addReaction(socket, data, ack));
+
+    socket.on("remove-reaction", (data, ack) =>
+      removeReaction(socket, data, ack)
+    );
 
-    socket.on("add-channel-notify", addChannelNotify);
+    socket.on("typing-start", (data) => typingStart(socket, data));
 
-    socket.on("sendMessage", sendMessage);
+    socket.on("typing-stop", (data) => typingStop(socket, data));
 
-    socket.on("send-channel-message", sendChannelMessage);
+    socket.on("set-presence", (data) => setPresence(socket, data));
 
     socket.on("disconnect", () => disconnect(socket));
   });